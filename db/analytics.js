@@ -0,0 +1,257 @@
+// db/analytics.js - Heart rate zone and cadence analytics from location pings
+const { LocationPing } = require('./models');
+
+// Analytics configuration (override with environment variables)
+const ANALYTICS_CONFIG = {
+    // Used when the runner hasn't configured their own heart rate profile
+    defaultMaxHr: Number(process.env.DEFAULT_MAX_HR) || 190,
+    defaultRestingHr: Number(process.env.DEFAULT_RESTING_HR) || 60,
+    // A reading counts until the next ping, but never longer than this (signal loss)
+    maxGapSec: 30,
+    // Window for the rolling values sent with live updates
+    rollingWindowSec: 300,
+    // Width of the cadence distribution buckets in steps per minute
+    cadenceBucketSpm: 10
+};
+
+// Heart rate zones as shares of heart rate reserve (Karvonen)
+const HR_ZONES = [
+    { zone: 1, name: 'Recovery', min: 0.5, max: 0.6 },
+    { zone: 2, name: 'Endurance', min: 0.6, max: 0.7 },
+    { zone: 3, name: 'Tempo', min: 0.7, max: 0.8 },
+    { zone: 4, name: 'Threshold', min: 0.8, max: 0.9 },
+    { zone: 5, name: 'Maximum', min: 0.9, max: 1.0 }
+];
+
+/**
+ * Heart rate profile for a runner
+ * @param {Object|null} user - User document
+ * @param {Object} config - Analytics configuration
+ * @returns {Object} { maxHr, restingHr, source } where source is 'user' or 'default'
+ */
+function getHeartRateProfile(user, config = ANALYTICS_CONFIG) {
+    const heartRate = user && user.preferences && user.preferences.heartRate;
+    const configured = Boolean(heartRate && heartRate.max);
+
+    return {
+        maxHr: configured ? heartRate.max : config.defaultMaxHr,
+        restingHr: heartRate && heartRate.resting ? heartRate.resting : config.defaultRestingHr,
+        source: configured ? 'user' : 'default'
+    };
+}
+
+/**
+ * Heart rate bounds of each zone for a profile
+ * @param {Object} profile - Profile from getHeartRateProfile
+ * @returns {Array<Object>} [{ zone, name, minBpm, maxBpm }]
+ */
+function getZoneBounds(profile) {
+    const reserve = profile.maxHr - profile.restingHr;
+    return HR_ZONES.map(({ zone, name, min, max }) => ({
+        zone,
+        name,
+        minBpm: Math.round(profile.restingHr + min * reserve),
+        maxBpm: Math.round(profile.restingHr + max * reserve)
+    }));
+}
+
+/**
+ * Zone a heart rate falls in
+ * @param {number} heartRate - Beats per minute
+ * @param {Array<Object>} zones - Zones from getZoneBounds
+ * @returns {number} Zone number, 0 below zone 1
+ */
+function getHeartRateZone(heartRate, zones) {
+    for (let i = zones.length - 1; i >= 0; i--) {
+        if (heartRate >= zones[i].minBpm) return zones[i].zone;
+    }
+    return 0;
+}
+
+// Readings of 0 mean the sensor isn't connected
+function isReading(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Time-weighted analytics for a series of pings
+ * @param {Array<Object>} pings - Accepted LocationPing documents in time order
+ * @param {Object} profile - Profile from getHeartRateProfile
+ * @param {Object} config - Analytics configuration
+ * @returns {Object} { heartRate, cadence }
+ */
+function computeAnalytics(pings, profile, config = ANALYTICS_CONFIG) {
+    const zones = getZoneBounds(profile);
+    const zoneTime = new Array(zones.length + 1).fill(0);
+    const cadenceBuckets = new Map();
+
+    const hr = { weighted: 0, time: 0, max: 0, min: Infinity, samples: 0 };
+    const cadence = { weighted: 0, time: 0, max: 0, samples: 0 };
+    const hrSeries = [];
+
+    pings.forEach((ping, i) => {
+        const next = pings[i + 1];
+        const durationSec = next ? Math.min((next.ts - ping.ts) / 1000, config.maxGapSec) : 0;
+
+        if (isReading(ping.heartRate)) {
+            hr.samples++;
+            hr.max = Math.max(hr.max, ping.heartRate);
+            hr.min = Math.min(hr.min, ping.heartRate);
+            hr.weighted += ping.heartRate * durationSec;
+            hr.time += durationSec;
+            zoneTime[getHeartRateZone(ping.heartRate, zones)] += durationSec;
+            hrSeries.push({ ping, durationSec });
+        }
+
+        if (isReading(ping.cadence)) {
+            cadence.samples++;
+            cadence.max = Math.max(cadence.max, ping.cadence);
+            cadence.weighted += ping.cadence * durationSec;
+            cadence.time += durationSec;
+            const bucket = Math.floor(ping.cadence / config.cadenceBucketSpm) * config.cadenceBucketSpm;
+            cadenceBuckets.set(bucket, (cadenceBuckets.get(bucket) || 0) + durationSec);
+        }
+    });
+
+    const percentOf = (part, total) => (total > 0 ? Math.round(part / total * 1000) / 10 : 0);
+
+    return {
+        heartRate: {
+            profile,
+            samples: hr.samples,
+            avg: hr.time > 0 ? Math.round(hr.weighted / hr.time) : null,
+            max: hr.samples > 0 ? hr.max : null,
+            min: hr.samples > 0 ? hr.min : null,
+            zones: [
+                { zone: 0, name: 'Below zones', minBpm: 0, maxBpm: zones[0].minBpm },
+                ...zones
+            ].map(zone => ({
+                ...zone,
+                timeSec: Math.round(zoneTime[zone.zone]),
+                percent: percentOf(zoneTime[zone.zone], hr.time)
+            })),
+            drift: computeHeartRateDrift(hrSeries)
+        },
+        cadence: {
+            samples: cadence.samples,
+            avg: cadence.time > 0 ? Math.round(cadence.weighted / cadence.time) : null,
+            max: cadence.samples > 0 ? cadence.max : null,
+            distribution: [...cadenceBuckets.entries()]
+                .sort((a, b) => a[0] - b[0])
+                .map(([minSpm, timeSec]) => ({
+                    minSpm,
+                    maxSpm: minSpm + config.cadenceBucketSpm,
+                    timeSec: Math.round(timeSec),
+                    percent: percentOf(timeSec, cadence.time)
+                }))
+        }
+    };
+}
+
+/**
+ * Compare the first and second half of the run: how much heart rate rose,
+ * and how much pace per heartbeat fell (aerobic decoupling)
+ * @param {Array<Object>} series - [{ ping, durationSec }] for pings with a heart rate reading
+ * @returns {Object|null} Drift figures or null with too little data
+ */
+function computeHeartRateDrift(series) {
+    const totalSec = series.reduce((sum, s) => sum + s.durationSec, 0);
+    if (series.length < 4 || totalSec <= 0) return null;
+
+    const halves = [
+        { hr: 0, time: 0, first: null, last: null },
+        { hr: 0, time: 0, first: null, last: null }
+    ];
+    let elapsed = 0;
+    series.forEach(({ ping, durationSec }) => {
+        const half = halves[elapsed < totalSec / 2 ? 0 : 1];
+        half.hr += ping.heartRate * durationSec;
+        half.time += durationSec;
+        half.first = half.first || ping;
+        half.last = ping;
+        elapsed += durationSec;
+    });
+
+    if (halves.some(h => h.time <= 0)) return null;
+
+    const [first, second] = halves.map(h => {
+        const meters = (h.last.distance || 0) - (h.first.distance || 0);
+        const seconds = (h.last.ts - h.first.ts) / 1000;
+        const avgHr = h.hr / h.time;
+        return { avgHr, efficiency: seconds > 0 && meters > 0 ? (meters / seconds) / avgHr : null };
+    });
+
+    return {
+        firstHalfAvgHr: Math.round(first.avgHr),
+        secondHalfAvgHr: Math.round(second.avgHr),
+        hrDriftPct: Math.round((second.avgHr - first.avgHr) / first.avgHr * 1000) / 10,
+        decouplingPct: first.efficiency && second.efficiency
+            ? Math.round((first.efficiency - second.efficiency) / first.efficiency * 1000) / 10
+            : null
+    };
+}
+
+/**
+ * Full analytics for an activity
+ * @param {Object} activity - Activity document
+ * @param {Object} profile - Profile from getHeartRateProfile
+ * @returns {Promise<Object>} Analytics from computeAnalytics
+ */
+async function getActivityAnalytics(activity, profile) {
+    const pings = await LocationPing.find(
+        { 'meta.activityId': activity._id, 'meta.runnerId': activity.runnerId, 'filter.rejected': { $ne: true } },
+        { ts: 1, heartRate: 1, cadence: 1, distance: 1 },
+        { sort: { ts: 1 } }
+    ).lean();
+
+    return computeAnalytics(pings, profile);
+}
+
+/**
+ * Rolling heart rate and cadence over the most recent window, for live updates
+ * @param {string} activityId - Activity ID
+ * @param {Object} profile - Profile from getHeartRateProfile
+ * @param {Object|null} latestPing - Most recent accepted LocationPing
+ * @param {Object} config - Analytics configuration
+ * @returns {Promise<Object|null>} { windowSec, avgHeartRate, zone, zoneName, avgCadence } or null
+ */
+async function getRollingAnalytics(activityId, profile, latestPing, config = ANALYTICS_CONFIG) {
+    if (!latestPing) return null;
+
+    const pings = await LocationPing.find(
+        {
+            'meta.activityId': activityId,
+            'filter.rejected': { $ne: true },
+            ts: { $gte: new Date(latestPing.ts.getTime() - config.rollingWindowSec * 1000), $lte: latestPing.ts }
+        },
+        { ts: 1, heartRate: 1, cadence: 1 },
+        { sort: { ts: 1 } }
+    ).lean();
+
+    const heartRates = pings.map(p => p.heartRate).filter(isReading);
+    const cadences = pings.map(p => p.cadence).filter(isReading);
+    const average = values => (values.length > 0 ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null);
+
+    const avgHeartRate = average(heartRates);
+    const zones = getZoneBounds(profile);
+    const zone = avgHeartRate !== null ? getHeartRateZone(avgHeartRate, zones) : null;
+
+    return {
+        windowSec: config.rollingWindowSec,
+        avgHeartRate,
+        zone,
+        zoneName: zone ? zones[zone - 1].name : null,
+        avgCadence: average(cadences)
+    };
+}
+
+module.exports = {
+    ANALYTICS_CONFIG,
+    HR_ZONES,
+    getHeartRateProfile,
+    getZoneBounds,
+    getHeartRateZone,
+    computeAnalytics,
+    getActivityAnalytics,
+    getRollingAnalytics
+};
@@ -0,0 +1,118 @@
+// db/checkpoints.js - Detect runners passing the event's route checkpoints
+const { calculateDistance, getActivityElapsedSec } = require('./utils');
+
+// Checkpoint detection configuration (override with environment variables)
+const CHECKPOINT_CONFIG = {
+    // A fix this close to a checkpoint counts as passing it
+    radiusM: Number(process.env.CHECKPOINT_RADIUS_M) || 30,
+    // Proximity only counts once the runner has covered this share of the checkpoint's distance,
+    // so a finish line next to the start isn't "reached" in the first minute
+    minDistanceShare: 0.9
+};
+
+/**
+ * Normalize the event's route checkpoints, ordered by distance from the start
+ * @param {Object|null} event - Event document
+ * @returns {Array<Object>} [{ checkpointId, name, distanceMeters, lat, lng, auto }] where auto marks
+ *   km markers generated by course import
+ */
+function getEventCheckpoints(event) {
+    const checkpoints = (event && event.route && event.route.checkpoints) || [];
+
+    return checkpoints
+        .map((checkpoint, i) => {
+            const coordinates = checkpoint.coordinates && checkpoint.coordinates.coordinates;
+            const hasCoordinates = Array.isArray(coordinates) && coordinates.length === 2;
+            return {
+                checkpointId: checkpoint._id ? String(checkpoint._id) : String(i),
+                name: checkpoint.name || `Checkpoint ${i + 1}`,
+                distanceMeters: Number.isFinite(checkpoint.distance) ? checkpoint.distance : undefined,
+                lat: hasCoordinates ? coordinates[1] : undefined,
+                lng: hasCoordinates ? coordinates[0] : undefined,
+                auto: Boolean(checkpoint.auto)
+            };
+        })
+        .sort((a, b) => (a.distanceMeters === undefined ? Infinity : a.distanceMeters) -
+            (b.distanceMeters === undefined ? Infinity : b.distanceMeters));
+}
+
+/**
+ * Build detection state continuing from the passages already recorded
+ * @param {Object|null} event - Event document
+ * @param {Array<Object>} passages - Activity.checkpoints recorded so far
+ * @returns {Object} Checkpoint state
+ */
+function createCheckpointState(event, passages = []) {
+    return {
+        checkpoints: getEventCheckpoints(event),
+        passed: new Set(passages.map(p => p.checkpointId)),
+        last: passages.length > 0 ? passages[passages.length - 1] : null
+    };
+}
+
+/**
+ * Record a passage for every checkpoint a ping moved past
+ * @param {Object} activity - Activity document, for elapsed time at the crossing
+ * @param {Object} state - State from createCheckpointState (mutated)
+ * @param {Object} movement - { ts, lat, lng, distanceMeters, course } where course is
+ *   { fromDistance, toDistance, fromTs } when the ping was matched onto the course
+ * @param {Object} config - Checkpoint detection configuration
+ * @returns {Array<Object>} New passages in the order they were crossed
+ */
+function detectCheckpointPassages(activity, state, movement, config = CHECKPOINT_CONFIG) {
+    const passages = [];
+
+    state.checkpoints.forEach(checkpoint => {
+        if (state.passed.has(checkpoint.checkpointId)) return;
+
+        let at = null;
+        let method = null;
+
+        // Crossed by position along the course - interpolate the time between the two fixes
+        if (movement.course && checkpoint.distanceMeters !== undefined) {
+            const { fromDistance, toDistance, fromTs } = movement.course;
+            if (checkpoint.distanceMeters > fromDistance && checkpoint.distanceMeters <= toDistance) {
+                const fraction = (checkpoint.distanceMeters - fromDistance) / (toDistance - fromDistance);
+                at = fromTs
+                    ? new Date(fromTs.getTime() + fraction * (movement.ts - fromTs))
+                    : movement.ts;
+                method = 'course';
+            }
+        } else if (checkpoint.lat !== undefined) {
+            const farEnough = checkpoint.distanceMeters === undefined ||
+                movement.distanceMeters >= checkpoint.distanceMeters * config.minDistanceShare;
+            if (farEnough && calculateDistance(movement.lat, movement.lng, checkpoint.lat, checkpoint.lng) <= config.radiusM) {
+                at = movement.ts;
+                method = 'proximity';
+            }
+        }
+
+        if (!at) return;
+
+        passages.push({
+            checkpointId: checkpoint.checkpointId,
+            name: checkpoint.name,
+            distanceMeters: checkpoint.distanceMeters,
+            at,
+            method
+        });
+    });
+
+    passages.sort((a, b) => a.at - b.at);
+
+    passages.forEach(passage => {
+        passage.elapsedSec = getActivityElapsedSec(activity, passage.at);
+        passage.splitSec = passage.elapsedSec - (state.last ? state.last.elapsedSec : 0);
+        state.passed.add(passage.checkpointId);
+        state.last = passage;
+    });
+
+    return passages;
+}
+
+module.exports = {
+    CHECKPOINT_CONFIG,
+    getEventCheckpoints,
+    createCheckpointState,
+    detectCheckpointPassages
+};
@@ -0,0 +1,116 @@
+// db/cheer-triggers.js - Hold cheers back until the runner reaches a distance, a checkpoint or a time
+const { getEventCheckpoints } = require('./checkpoints');
+
+// Cheer trigger configuration (override with environment variables)
+const TRIGGER_CONFIG = {
+    // How far ahead a clock time trigger can be set
+    maxScheduleAheadHours: Number(process.env.CHEER_MAX_SCHEDULE_HOURS) || 48
+};
+
+const TRIGGER_TYPES = ['distance', 'checkpoint', 'time'];
+
+/**
+ * Validate a trigger sent with a cheer and turn it into what is stored on the Cheer
+ * @param {Object} input - { type: 'distance', distanceKm } | { type: 'checkpoint', checkpointId or name } |
+ *   { type: 'time', at }
+ * @param {Object|null} event - Event the activity belongs to, for its distance and checkpoints
+ * @param {Date} now - Current time
+ * @param {Object} config - Trigger configuration
+ * @returns {Object} { trigger, error } with trigger null when the input is invalid
+ */
+function parseCheerTrigger(input, event, now = new Date(), config = TRIGGER_CONFIG) {
+    if (!input || typeof input !== 'object' || !TRIGGER_TYPES.includes(input.type)) {
+        return { trigger: null, error: `Trigger type must be one of: ${TRIGGER_TYPES.join(', ')}` };
+    }
+
+    if (input.type === 'distance') {
+        const distanceKm = Number(input.distanceKm);
+        const maxKm = event && event.distance > 0 ? event.distance / 1000 : Infinity;
+        if (!Number.isFinite(distanceKm) || distanceKm <= 0 || distanceKm > maxKm) {
+            return {
+                trigger: null,
+                error: Number.isFinite(maxKm)
+                    ? `distanceKm must be between 0 and ${maxKm}`
+                    : 'distanceKm must be a positive number'
+            };
+        }
+        return { trigger: { type: 'distance', distanceMeters: Math.round(distanceKm * 1000) }, error: null };
+    }
+
+    if (input.type === 'checkpoint') {
+        const wanted = String(input.checkpointId || input.name || '').trim().toLowerCase();
+        const checkpoint = getEventCheckpoints(event).find(cp =>
+            cp.checkpointId.toLowerCase() === wanted || cp.name.toLowerCase() === wanted);
+        if (!wanted || !checkpoint) {
+            return { trigger: null, error: 'Checkpoint not found on this event\'s route' };
+        }
+        return {
+            trigger: { type: 'checkpoint', checkpointId: checkpoint.checkpointId, checkpointName: checkpoint.name },
+            error: null
+        };
+    }
+
+    const at = new Date(input.at);
+    if (Number.isNaN(at.getTime())) {
+        return { trigger: null, error: 'at must be a valid date and time' };
+    }
+    if (at <= now) {
+        return { trigger: null, error: 'at must be in the future' };
+    }
+    if (at - now > config.maxScheduleAheadHours * 60 * 60 * 1000) {
+        return { trigger: null, error: `at can be at most ${config.maxScheduleAheadHours} hours ahead` };
+    }
+    return { trigger: { type: 'time', at }, error: null };
+}
+
+/**
+ * Runner's position for distance triggers - along the course when matched, like the km signs
+ * @param {Object} activity - Activity document
+ * @returns {number} Meters covered
+ */
+function getTriggerPosition(activity) {
+    const stats = activity.stats || {};
+    return typeof stats.courseDistanceMeters === 'number' ? stats.courseDistanceMeters : (stats.distanceMeters || 0);
+}
+
+/**
+ * Query matching cheers whose trigger (if any) the runner's progress has satisfied
+ * @param {Object} activity - Activity document with stats and checkpoints
+ * @param {Date} now - Current time
+ * @returns {Object} Mongo filter to combine with the rest of the queue's conditions
+ */
+function triggerReadyQuery(activity, now = new Date()) {
+    return {
+        $or: [
+            { 'trigger.type': { $exists: false } },
+            { 'trigger.type': 'distance', 'trigger.distanceMeters': { $lte: getTriggerPosition(activity) } },
+            { 'trigger.type': 'checkpoint', 'trigger.checkpointId': { $in: (activity.checkpoints || []).map(p => p.checkpointId) } },
+            { 'trigger.type': 'time', 'trigger.at': { $lte: now } }
+        ]
+    };
+}
+
+/**
+ * Trigger as shown in API responses, with distances in km
+ * @param {Object|undefined} trigger - Cheer.trigger
+ * @returns {Object|null} { type, distanceKm, checkpointId, checkpointName, at }
+ */
+function formatCheerTrigger(trigger) {
+    if (!trigger || !trigger.type) return null;
+
+    switch (trigger.type) {
+        case 'distance':
+            return { type: 'distance', distanceKm: trigger.distanceMeters / 1000 };
+        case 'checkpoint':
+            return { type: 'checkpoint', checkpointId: trigger.checkpointId, checkpointName: trigger.checkpointName };
+        default:
+            return { type: 'time', at: trigger.at };
+    }
+}
+
+module.exports = {
+    TRIGGER_CONFIG,
+    parseCheerTrigger,
+    triggerReadyQuery,
+    formatCheerTrigger
+};
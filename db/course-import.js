@@ -0,0 +1,202 @@
+// db/course-import.js - Build event courses from GPX and GeoJSON files
+const { buildCourse } = require('./course');
+
+// Course import configuration
+const COURSE_IMPORT_CONFIG = {
+    // Upper bound on points stored for one course line
+    maxPoints: 20000,
+    // Spacing of auto-generated km markers
+    markerIntervalMeters: 1000
+};
+
+/**
+ * Read the course line from a GPX document (track points, or route points if there is no track)
+ * @param {string} xml - GPX file contents
+ * @returns {Object} { coordinates } as [[lng, lat], ...] or { error }
+ */
+function parseGpxCourse(xml) {
+    if (typeof xml !== 'string' || !/<gpx[\s>]/i.test(xml)) {
+        return { error: 'Not a GPX document' };
+    }
+
+    const readPoints = tag => {
+        const points = [];
+        const pattern = new RegExp(`<${tag}\\b([^>]*)>`, 'gi');
+        let match;
+        while ((match = pattern.exec(xml)) !== null) {
+            const lat = /\blat\s*=\s*["']([^"']+)["']/i.exec(match[1]);
+            const lon = /\blon\s*=\s*["']([^"']+)["']/i.exec(match[1]);
+            if (lat && lon) {
+                points.push([Number(lon[1]), Number(lat[1])]);
+            }
+        }
+        return points;
+    };
+
+    const trackPoints = readPoints('trkpt');
+    return validateCoordinates(trackPoints.length > 0 ? trackPoints : readPoints('rtept'));
+}
+
+/**
+ * Read the course line from GeoJSON (LineString or MultiLineString, bare or in a Feature/FeatureCollection)
+ * @param {Object} geojson - Parsed GeoJSON
+ * @returns {Object} { coordinates } as [[lng, lat], ...] or { error }
+ */
+function parseGeoJsonCourse(geojson) {
+    if (!geojson || typeof geojson !== 'object') {
+        return { error: 'Not a GeoJSON object' };
+    }
+
+    let geometries;
+    if (geojson.type === 'FeatureCollection') {
+        geometries = (geojson.features || []).map(feature => feature && feature.geometry);
+    } else if (geojson.type === 'Feature') {
+        geometries = [geojson.geometry];
+    } else {
+        geometries = [geojson];
+    }
+
+    const line = geometries.find(g => g && (g.type === 'LineString' || g.type === 'MultiLineString'));
+    if (!line) {
+        return { error: 'GeoJSON must contain a LineString or MultiLineString' };
+    }
+
+    const coordinates = line.type === 'LineString' ? line.coordinates : [].concat(...line.coordinates);
+    return validateCoordinates((coordinates || []).map(position => [Number(position[0]), Number(position[1])]));
+}
+
+/**
+ * Check parsed positions and drop consecutive duplicates
+ * @param {Array<Array<number>>} coordinates - [[lng, lat], ...]
+ * @returns {Object} { coordinates } or { error }
+ */
+function validateCoordinates(coordinates) {
+    const invalid = coordinates.findIndex(([lng, lat]) =>
+        !Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180);
+    if (invalid !== -1) {
+        return { error: `Invalid coordinates at point ${invalid}` };
+    }
+
+    const deduped = coordinates.filter((position, i) =>
+        i === 0 || position[0] !== coordinates[i - 1][0] || position[1] !== coordinates[i - 1][1]);
+
+    if (deduped.length < 2) {
+        return { error: 'Course needs at least two distinct points' };
+    }
+
+    if (deduped.length > COURSE_IMPORT_CONFIG.maxPoints) {
+        return { error: `Course has too many points (max ${COURSE_IMPORT_CONFIG.maxPoints})` };
+    }
+
+    return { coordinates: deduped };
+}
+
+/**
+ * Position on the course at a given course distance
+ * @param {Object} course - Course from buildCourse
+ * @param {number} distanceMeters - Course distance (scaled to the official distance)
+ * @returns {Array<number>} [lng, lat]
+ */
+function pointAtCourseDistance(course, distanceMeters) {
+    const along = Math.min(course.length, Math.max(0, distanceMeters / course.scale));
+
+    let i = 0;
+    while (i < course.cumulative.length - 2 && course.cumulative[i + 1] < along) {
+        i++;
+    }
+
+    const segmentLength = course.cumulative[i + 1] - course.cumulative[i];
+    const t = segmentLength > 0 ? (along - course.cumulative[i]) / segmentLength : 0;
+    const a = course.points[i];
+    const b = course.points[i + 1];
+
+    return [a.lng + t * (b.lng - a.lng), a.lat + t * (b.lat - a.lat)];
+}
+
+/**
+ * Checkpoints for the start, every km marker and the finish, plus existing named
+ * checkpoints moved onto the course at their distance
+ * @param {Object} course - Course from buildCourse
+ * @param {number} totalMeters - Course distance of the finish
+ * @param {Array<Object>} existing - Current event checkpoints ({ name, distance })
+ * @param {number} intervalMeters - Marker spacing
+ * @returns {Array<Object>} Event route checkpoints ordered by distance
+ */
+function generateCourseCheckpoints(course, totalMeters, existing = [], intervalMeters = COURSE_IMPORT_CONFIG.markerIntervalMeters) {
+    // Checkpoints that survive a re-import keep their ID, so passages and cheers waiting on them still match
+    const keyOf = (name, distance) => `${name}@${Math.round(distance)}`;
+    const existingIds = new Map(existing
+        .filter(checkpoint => checkpoint._id)
+        .map(checkpoint => [keyOf(checkpoint.name, checkpoint.distance), checkpoint._id]));
+
+    const toCheckpoint = (name, distance, auto) => {
+        const checkpoint = {
+            name,
+            distance,
+            auto,
+            coordinates: {
+                type: 'Point',
+                coordinates: pointAtCourseDistance(course, distance)
+            }
+        };
+        const id = existingIds.get(keyOf(name, distance));
+        return id ? { _id: id, ...checkpoint } : checkpoint;
+    };
+
+    // Named checkpoints keep their names but get real coordinates; earlier markers are regenerated
+    const named = existing
+        .filter(checkpoint => !checkpoint.auto && Number.isFinite(checkpoint.distance) &&
+            checkpoint.distance >= 0 && checkpoint.distance <= totalMeters)
+        .map(checkpoint => toCheckpoint(checkpoint.name, checkpoint.distance, false));
+    const taken = new Set(named.map(checkpoint => Math.round(checkpoint.distance)));
+
+    const markers = [toCheckpoint('Start', 0, true)];
+    // Whole meters from the marker count, so intervals like 1.1 km don't drift into 1.1000000000000003 km
+    for (let i = 1; Math.round(i * intervalMeters) < totalMeters; i++) {
+        const distance = Math.round(i * intervalMeters);
+        markers.push(toCheckpoint(`${Number((distance / 1000).toFixed(2))} km`, distance, true));
+    }
+    markers.push(toCheckpoint('Finish', totalMeters, true));
+
+    return [
+        ...named,
+        ...markers.filter(marker => !taken.has(Math.round(marker.distance)))
+    ].sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Build everything stored on the event for an imported course line
+ * @param {Array<Array<number>>} coordinates - [[lng, lat], ...]
+ * @param {Object} event - Event document the course is for
+ * @param {Object} options - { useMeasuredDistance, generateCheckpoints, markerIntervalMeters }
+ * @returns {Object} { course, measuredDistanceMeters, distance, checkpoints }
+ */
+function buildCourseImport(coordinates, event, options = {}) {
+    const measured = buildCourse(coordinates, 0);
+    const measuredDistanceMeters = Math.round(measured.length);
+
+    // Keep the official distance unless there isn't one (custom events) or the caller asks for the measured one
+    const distance = options.useMeasuredDistance || !(event.distance > 0) ? measuredDistanceMeters : event.distance;
+    const course = buildCourse(coordinates, distance);
+
+    const existing = event.route && event.route.checkpoints ? event.route.checkpoints : [];
+    const checkpoints = options.generateCheckpoints === false
+        ? existing
+        : generateCourseCheckpoints(course, distance, existing, options.markerIntervalMeters);
+
+    return {
+        course: { type: 'LineString', coordinates },
+        measuredDistanceMeters,
+        distance,
+        checkpoints
+    };
+}
+
+module.exports = {
+    COURSE_IMPORT_CONFIG,
+    parseGpxCourse,
+    parseGeoJsonCourse,
+    pointAtCourseDistance,
+    generateCourseCheckpoints,
+    buildCourseImport
+};
@@ -0,0 +1,167 @@
+// db/course.js - Map-matching of GPS fixes onto the event course
+const { calculateDistance } = require('./utils');
+
+// Course matching configuration (override with environment variables)
+const COURSE_CONFIG = {
+    // Fixes further than this from the course line are left unmatched
+    maxSnapM: Number(process.env.COURSE_MAX_SNAP_M) || 50,
+    // How far behind the last matched position to look (GPS wobble, not running backwards)
+    searchBehindM: 250,
+    // Minimum distance ahead of the last matched position to look
+    searchAheadM: 1500
+};
+
+// Meters per degree of latitude, matching the Earth radius in calculateDistance
+const METERS_PER_DEGREE = 6371000 * Math.PI / 180;
+
+// Prepared courses by event ID, rebuilt when the event is updated
+const courseCache = new Map();
+
+/**
+ * Prepare a course line for matching
+ * @param {Array<Array<number>>} coordinates - [[lng, lat], ...] from start to finish
+ * @param {number} officialDistanceMeters - Event distance the course line should measure
+ * @returns {Object|null} { points, cumulative, length, scale } or null for an unusable line
+ */
+function buildCourse(coordinates, officialDistanceMeters) {
+    if (!Array.isArray(coordinates) || coordinates.length < 2) return null;
+
+    const points = coordinates.map(([lng, lat]) => ({ lat, lng }));
+    const cumulative = [0];
+    for (let i = 1; i < points.length; i++) {
+        cumulative.push(cumulative[i - 1] + calculateDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng));
+    }
+
+    const length = cumulative[cumulative.length - 1];
+    if (length <= 0) return null;
+
+    // A drawn line never measures exactly the official distance - scale so positions match the km signs
+    const scale = officialDistanceMeters > 0 ? officialDistanceMeters / length : 1;
+
+    return { points, cumulative, length, scale };
+}
+
+/**
+ * Get the prepared course for an event
+ * @param {Object|null} event - Event document
+ * @returns {Object|null} Course from buildCourse or null when the event has no course line
+ */
+function getEventCourse(event) {
+    const line = event && event.route && event.route.course;
+    if (!line || !line.coordinates || line.coordinates.length < 2) return null;
+
+    const version = event.updatedAt ? new Date(event.updatedAt).getTime() : 0;
+    const cached = courseCache.get(event._id);
+    if (cached && cached.version === version) {
+        return cached.course;
+    }
+
+    const course = buildCourse(line.coordinates, event.distance);
+    courseCache.set(event._id, { version, course });
+    return course;
+}
+
+/**
+ * Project a point onto one course segment
+ * @param {Object} course - Course from buildCourse
+ * @param {number} i - Index of the segment's first point
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object} { lat, lng, offsetM, along } with along in measured meters from the start
+ */
+function projectOntoSegment(course, i, lat, lng) {
+    const a = course.points[i];
+    const b = course.points[i + 1];
+
+    // Flat projection around the segment start is accurate enough at segment scale
+    const cosLat = Math.cos(a.lat * Math.PI / 180);
+    const bx = (b.lng - a.lng) * cosLat * METERS_PER_DEGREE;
+    const by = (b.lat - a.lat) * METERS_PER_DEGREE;
+    const px = (lng - a.lng) * cosLat * METERS_PER_DEGREE;
+    const py = (lat - a.lat) * METERS_PER_DEGREE;
+
+    const lengthSq = bx * bx + by * by;
+    const t = lengthSq > 0 ? Math.min(1, Math.max(0, (px * bx + py * by) / lengthSq)) : 0;
+
+    const snappedLat = a.lat + t * (b.lat - a.lat);
+    const snappedLng = a.lng + t * (b.lng - a.lng);
+
+    return {
+        lat: snappedLat,
+        lng: snappedLng,
+        offsetM: Math.hypot(px - t * bx, py - t * by),
+        along: course.cumulative[i] + t * (course.cumulative[i + 1] - course.cumulative[i])
+    };
+}
+
+/**
+ * Closest point on the course segments overlapping a window of course distance
+ * @param {Object} course - Course from buildCourse
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} fromM - Window start in course meters
+ * @param {number} toM - Window end in course meters
+ * @returns {Object|null} Closest projection or null if no segment is in the window
+ */
+function findClosest(course, lat, lng, fromM, toM) {
+    let best = null;
+
+    for (let i = 0; i < course.points.length - 1; i++) {
+        const segmentStart = course.cumulative[i] * course.scale;
+        const segmentEnd = course.cumulative[i + 1] * course.scale;
+        if (segmentEnd < fromM || segmentStart > toM) continue;
+
+        const candidate = projectOntoSegment(course, i, lat, lng);
+        if (!best || candidate.offsetM < best.offsetM) {
+            best = candidate;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Snap a fix onto the course near the last match, so out-and-back sections and
+ * crossing streets resolve to the right leg
+ *
+ * Once the runner has been matched, a fix is only compared with the stretch they could
+ * have reached since. A fix thrown off by tall buildings is left unmatched rather than
+ * snapped onto a later leg, which would move course distance forward for good.
+ * @param {Object} course - Course from buildCourse
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number|null} lastDistance - Last matched course distance in meters, if any
+ * @param {number} maxAdvanceM - Furthest the runner could have moved since the last match
+ * @param {Object} config - Course matching configuration
+ * @returns {Object} { matched, lat, lng, distance, offsetM }
+ */
+function matchToCourse(course, lat, lng, lastDistance = null, maxAdvanceM = 0, config = COURSE_CONFIG) {
+    const best = lastDistance !== null && lastDistance !== undefined
+        ? findClosest(course, lat, lng,
+            lastDistance - config.searchBehindM,
+            lastDistance + Math.max(config.searchAheadM, maxAdvanceM))
+        : findClosest(course, lat, lng, -Infinity, Infinity);
+
+    if (!best || best.offsetM > config.maxSnapM) {
+        // Still report how far the fix is from the course anywhere, for the geofence's course buffer
+        const nearest = findClosest(course, lat, lng, -Infinity, Infinity);
+        return { matched: false, offsetM: Math.round(nearest.offsetM * 10) / 10 };
+    }
+
+    const offsetM = Math.round(best.offsetM * 10) / 10;
+
+    return {
+        matched: true,
+        lat: best.lat,
+        lng: best.lng,
+        distance: Math.round(best.along * course.scale * 10) / 10,
+        offsetM
+    };
+}
+
+module.exports = {
+    COURSE_CONFIG,
+    buildCourse,
+    getEventCourse,
+    matchToCourse
+};
@@ -0,0 +1,103 @@
+// db/elevation.js - Smoothed elevation gain/loss, grade and grade-adjusted distance
+
+// Elevation configuration (override with environment variables)
+const ELEVATION_CONFIG = {
+    // Weight of each new reading in the smoothed elevation (phone altitude is noisy)
+    smoothing: Number(process.env.ELEVATION_SMOOTHING) || 0.3,
+    // Climbs and descents smaller than this are treated as noise
+    thresholdM: Number(process.env.ELEVATION_THRESHOLD_M) || 3,
+    // Distance the current grade is averaged over
+    gradeWindowM: 100,
+    // Steeper than this is GPS noise rather than a road
+    maxGrade: 0.45
+};
+
+/**
+ * Energy cost of running on a grade (Minetti et al. 2002), in J/kg/m
+ * @param {number} grade - Grade as a fraction (0.05 = 5%)
+ * @returns {number} Energy cost
+ */
+function runningCost(grade) {
+    return 155.4 * Math.pow(grade, 5) - 30.4 * Math.pow(grade, 4) - 43.3 * Math.pow(grade, 3) +
+        46.3 * grade * grade + 19.5 * grade + 3.6;
+}
+
+/**
+ * Build elevation state continuing from the activity's running totals
+ * @param {Object} stats - Activity.stats
+ * @param {Object|null} previousPing - Last accepted LocationPing
+ * @returns {Object} Elevation state
+ */
+function createElevationState(stats, previousPing) {
+    const smoothedM = previousPing && previousPing.elevSmoothedM !== undefined ? previousPing.elevSmoothedM : null;
+    return {
+        smoothedM,
+        anchorM: stats.elevationAnchorM !== undefined && stats.elevationAnchorM !== null ? stats.elevationAnchorM : smoothedM,
+        gainM: stats.elevationGainM || 0,
+        lossM: stats.elevationLossM || 0,
+        grade: (stats.currentGradePct || 0) / 100,
+        adjustedMeters: stats.gradeAdjustedMeters || 0
+    };
+}
+
+/**
+ * Add one moving segment to the elevation state
+ * @param {Object} state - State from createElevationState (mutated)
+ * @param {number|undefined} elevM - Elevation reported with the fix
+ * @param {number} segmentMeters - Distance covered in the segment
+ * @param {Object} config - Elevation configuration
+ */
+function updateElevation(state, elevM, segmentMeters, config = ELEVATION_CONFIG) {
+    // Without altitude the segment counts as flat
+    if (typeof elevM !== 'number' || !Number.isFinite(elevM)) {
+        state.adjustedMeters += segmentMeters;
+        return;
+    }
+
+    if (state.smoothedM === null) {
+        state.smoothedM = elevM;
+        state.anchorM = elevM;
+        state.adjustedMeters += segmentMeters;
+        return;
+    }
+
+    const previousM = state.smoothedM;
+    state.smoothedM = previousM + config.smoothing * (elevM - previousM);
+
+    // Only count a climb or descent once it is bigger than the noise
+    const change = state.smoothedM - state.anchorM;
+    if (change >= config.thresholdM) {
+        state.gainM += change;
+        state.anchorM = state.smoothedM;
+    } else if (change <= -config.thresholdM) {
+        state.lossM -= change;
+        state.anchorM = state.smoothedM;
+    }
+
+    if (segmentMeters > 0) {
+        const segmentGrade = (state.smoothedM - previousM) / segmentMeters;
+        const weight = Math.min(1, segmentMeters / config.gradeWindowM);
+        state.grade = Math.max(-config.maxGrade, Math.min(config.maxGrade,
+            state.grade + weight * (segmentGrade - state.grade)));
+    }
+
+    // Distance on the flat that would take the same effort
+    state.adjustedMeters += segmentMeters * runningCost(state.grade) / runningCost(0);
+}
+
+/**
+ * Running totals to carry across segments and splits
+ * @param {Object} state - Elevation state
+ * @returns {Object} { gainM, lossM, adjustedMeters }
+ */
+function getElevationTotals(state) {
+    return { gainM: state.gainM, lossM: state.lossM, adjustedMeters: state.adjustedMeters };
+}
+
+module.exports = {
+    ELEVATION_CONFIG,
+    runningCost,
+    createElevationState,
+    updateElevation,
+    getElevationTotals
+};
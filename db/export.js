@@ -0,0 +1,220 @@
+// db/export.js - Serialize an activity's track to GPX, TCX and GeoJSON
+const { LocationPing } = require('./models');
+
+// Supported export formats
+const EXPORT_FORMATS = {
+    gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+    tcx: { contentType: 'application/vnd.garmin.tcx+xml', extension: 'tcx' },
+    geojson: { contentType: 'application/geo+json', extension: 'geojson' }
+};
+
+/**
+ * Load the accepted fixes to export, limited to the activity's own time window
+ * @param {Object} activity - Activity document
+ * @param {Object} bounds - Optional { from, to } dates requested by the client
+ * @returns {Promise<Array<Object>>} LocationPing documents in time order
+ */
+async function getExportPings(activity, bounds = {}) {
+    const ts = {};
+    const from = [activity.startedAt, bounds.from].filter(Boolean);
+    const to = [activity.endedAt, bounds.to].filter(Boolean);
+
+    if (from.length > 0) ts.$gte = new Date(Math.max(...from.map(d => d.getTime())));
+    if (to.length > 0) ts.$lte = new Date(Math.min(...to.map(d => d.getTime())));
+
+    const query = {
+        'meta.activityId': activity._id,
+        'meta.runnerId': activity.runnerId,
+        'filter.rejected': { $ne: true }
+    };
+    if (Object.keys(ts).length > 0) {
+        query.ts = ts;
+    }
+
+    return LocationPing.find(query, {}, { sort: { ts: 1 } }).lean();
+}
+
+/**
+ * Escape text for XML content and attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Optional numeric fields are only written when the phone reported them
+function hasValue(value) {
+    return value !== undefined && value !== null && Number.isFinite(value);
+}
+
+/**
+ * Build a GPX 1.1 document with Garmin TrackPointExtension heart rate and cadence
+ * @param {Object} details - { activity, name }
+ * @param {Array<Object>} pings - LocationPing documents in time order
+ * @returns {string} GPX XML
+ */
+function buildGpx({ activity, name }, pings) {
+    const points = pings.map(ping => {
+        const [lng, lat] = ping.loc.coordinates;
+        const extensions = [
+            hasValue(ping.heartRate) ? `<gpxtpx:hr>${Math.round(ping.heartRate)}</gpxtpx:hr>` : '',
+            hasValue(ping.cadence) ? `<gpxtpx:cad>${Math.round(ping.cadence)}</gpxtpx:cad>` : ''
+        ].join('');
+
+        return [
+            `      <trkpt lat="${lat}" lon="${lng}">`,
+            hasValue(ping.elevM) ? `        <ele>${ping.elevM}</ele>` : null,
+            `        <time>${ping.ts.toISOString()}</time>`,
+            extensions ? `        <extensions><gpxtpx:TrackPointExtension>${extensions}</gpxtpx:TrackPointExtension></extensions>` : null,
+            '      </trkpt>'
+        ].filter(Boolean).join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="imrunning.live"',
+        '     xmlns="http://www.topografix.com/GPX/1/1"',
+        '     xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1"',
+        '     xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+        '     xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">',
+        '  <metadata>',
+        `    <name>${escapeXml(name)}</name>`,
+        activity.startedAt ? `    <time>${activity.startedAt.toISOString()}</time>` : null,
+        '  </metadata>',
+        '  <trk>',
+        `    <name>${escapeXml(name)}</name>`,
+        '    <type>running</type>',
+        '    <trkseg>',
+        ...points,
+        '    </trkseg>',
+        '  </trk>',
+        '</gpx>',
+        ''
+    ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * Build a TCX document with a single lap covering the activity
+ * @param {Object} details - { activity, name }
+ * @param {Array<Object>} pings - LocationPing documents in time order
+ * @returns {string} TCX XML
+ */
+function buildTcx({ activity, name }, pings) {
+    const startTime = activity.startedAt || (pings.length > 0 ? pings[0].ts : new Date());
+    const stats = activity.stats || {};
+    const firstDistance = pings.length > 0 ? (pings[0].distance || 0) : 0;
+    const lastDistance = pings.length > 0 ? (pings[pings.length - 1].distance || 0) : 0;
+    const totalTimeSec = stats.totalTimeSec !== undefined
+        ? stats.totalTimeSec
+        : (pings.length > 1 ? (pings[pings.length - 1].ts - pings[0].ts) / 1000 : 0);
+    const heartRates = pings.map(p => p.heartRate).filter(hasValue);
+
+    const trackpoints = pings.map(ping => {
+        const [lng, lat] = ping.loc.coordinates;
+        // TCX running cadence counts one foot, the phone reports steps per minute
+        const tpx = [
+            hasValue(ping.speedMps) ? `<ns3:Speed>${ping.speedMps}</ns3:Speed>` : '',
+            hasValue(ping.cadence) ? `<ns3:RunCadence>${Math.round(ping.cadence / 2)}</ns3:RunCadence>` : ''
+        ].join('');
+
+        return [
+            '          <Trackpoint>',
+            `            <Time>${ping.ts.toISOString()}</Time>`,
+            `            <Position><LatitudeDegrees>${lat}</LatitudeDegrees><LongitudeDegrees>${lng}</LongitudeDegrees></Position>`,
+            hasValue(ping.elevM) ? `            <AltitudeMeters>${ping.elevM}</AltitudeMeters>` : null,
+            hasValue(ping.distance) ? `            <DistanceMeters>${(ping.distance - firstDistance).toFixed(1)}</DistanceMeters>` : null,
+            hasValue(ping.heartRate) ? `            <HeartRateBpm><Value>${Math.round(ping.heartRate)}</Value></HeartRateBpm>` : null,
+            tpx ? `            <Extensions><ns3:TPX>${tpx}</ns3:TPX></Extensions>` : null,
+            '          </Trackpoint>'
+        ].filter(Boolean).join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<TrainingCenterDatabase',
+        '    xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"',
+        '    xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2"',
+        '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+        '    xsi:schemaLocation="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2 http://www.garmin.com/xmlschemas/TrainingCenterDatabasev2.xsd">',
+        '  <Activities>',
+        '    <Activity Sport="Running">',
+        `      <Id>${startTime.toISOString()}</Id>`,
+        `      <Lap StartTime="${startTime.toISOString()}">`,
+        `        <TotalTimeSeconds>${Math.round(totalTimeSec)}</TotalTimeSeconds>`,
+        `        <DistanceMeters>${(lastDistance - firstDistance).toFixed(1)}</DistanceMeters>`,
+        hasValue(stats.maxSpeedMps) ? `        <MaximumSpeed>${stats.maxSpeedMps}</MaximumSpeed>` : null,
+        '        <Calories>0</Calories>',
+        heartRates.length > 0
+            ? `        <AverageHeartRateBpm><Value>${Math.round(heartRates.reduce((a, b) => a + b, 0) / heartRates.length)}</Value></AverageHeartRateBpm>`
+            : null,
+        heartRates.length > 0
+            ? `        <MaximumHeartRateBpm><Value>${Math.round(Math.max(...heartRates))}</Value></MaximumHeartRateBpm>`
+            : null,
+        '        <Intensity>Active</Intensity>',
+        '        <TriggerMethod>Manual</TriggerMethod>',
+        '        <Track>',
+        ...trackpoints,
+        '        </Track>',
+        '      </Lap>',
+        `      <Notes>${escapeXml(name)}</Notes>`,
+        '    </Activity>',
+        '  </Activities>',
+        '</TrainingCenterDatabase>',
+        ''
+    ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * Build a GeoJSON FeatureCollection with the track as a LineString
+ * and per-point data in coordinateProperties
+ * @param {Object} details - { activity, name }
+ * @param {Array<Object>} pings - LocationPing documents in time order
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function buildGeoJson({ activity, name }, pings) {
+    const field = key => pings.map(p => (hasValue(p[key]) ? p[key] : null));
+
+    return {
+        type: 'FeatureCollection',
+        features: [{
+            type: 'Feature',
+            geometry: {
+                type: 'LineString',
+                coordinates: pings.map(ping => (hasValue(ping.elevM)
+                    ? [...ping.loc.coordinates, ping.elevM]
+                    : ping.loc.coordinates))
+            },
+            properties: {
+                name,
+                activityId: activity._id,
+                status: activity.status,
+                startTime: activity.startedAt || null,
+                endTime: activity.endedAt || null,
+                distanceMeters: activity.stats ? activity.stats.distanceMeters : undefined,
+                totalTimeSec: activity.stats ? activity.stats.totalTimeSec : undefined,
+                coordinateProperties: {
+                    times: pings.map(p => p.ts.toISOString()),
+                    distances: field('distance'),
+                    accuracies: field('accuracy'),
+                    speeds: field('speedMps'),
+                    heartRates: field('heartRate'),
+                    cadences: field('cadence')
+                }
+            }
+        }]
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    getExportPings,
+    buildGpx,
+    buildTcx,
+    buildGeoJson
+};
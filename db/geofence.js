@@ -0,0 +1,167 @@
+// db/geofence.js - Per-event allowed area for runner positions
+const { getEventCourse } = require('./course');
+
+// Geofence configuration (override with environment variables)
+const GEOFENCE_CONFIG = {
+    // Allowed distance from the course line when the event has a course but no explicit geofence
+    courseBufferM: Number(process.env.GEOFENCE_COURSE_BUFFER_M) || 200,
+    // Limits on a buffer set per event
+    minCourseBufferM: 10,
+    maxCourseBufferM: 5000
+};
+
+// Valid [lng, lat] pair
+function isPosition(position) {
+    return Array.isArray(position) && position.length >= 2 &&
+        Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+        Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+}
+
+/**
+ * Build a bounding polygon from a min/max lat/lng box
+ * @param {Object} bounds - { minLat, maxLat, minLng, maxLng }
+ * @returns {Object} GeoJSON Polygon
+ */
+function boundsToPolygon(bounds) {
+    return {
+        type: 'Polygon',
+        coordinates: [[
+            [bounds.minLng, bounds.minLat],
+            [bounds.maxLng, bounds.minLat],
+            [bounds.maxLng, bounds.maxLat],
+            [bounds.minLng, bounds.maxLat],
+            [bounds.minLng, bounds.minLat]
+        ]]
+    };
+}
+
+/**
+ * Validate a geofence sent for an event
+ * @param {Object} input - { polygon, bounds, courseBufferM } where polygon is a GeoJSON Polygon, bounds a
+ *   { minLat, maxLat, minLng, maxLng } box, and null clears a field
+ * @param {Object} config - Geofence configuration
+ * @returns {Object} { update, error } where update maps geofence fields to their new value (null to clear)
+ */
+function parseGeofenceInput(input, config = GEOFENCE_CONFIG) {
+    if (!input || typeof input !== 'object') {
+        return { update: null, error: 'Send polygon, bounds and/or courseBufferM' };
+    }
+
+    const update = {};
+
+    if (input.polygon !== undefined && input.bounds !== undefined) {
+        return { update: null, error: 'Send either polygon or bounds, not both' };
+    }
+
+    if (input.bounds !== undefined && input.bounds !== null) {
+        const { minLat, maxLat, minLng, maxLng } = input.bounds;
+        if (![minLat, maxLat, minLng, maxLng].every(Number.isFinite) ||
+            !isPosition([minLng, minLat]) || !isPosition([maxLng, maxLat]) || minLat >= maxLat || minLng >= maxLng) {
+            return { update: null, error: 'bounds must have numeric minLat < maxLat and minLng < maxLng' };
+        }
+        update.polygon = boundsToPolygon(input.bounds);
+    } else if (input.polygon === null || input.bounds === null) {
+        update.polygon = null;
+    } else if (input.polygon !== undefined) {
+        const { type, coordinates } = input.polygon;
+        const validRings = Array.isArray(coordinates) && coordinates.length > 0 && coordinates.every(ring =>
+            Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition) &&
+            ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1]);
+        if (type !== 'Polygon' || !validRings) {
+            return { update: null, error: 'polygon must be a GeoJSON Polygon with closed rings of [lng, lat] positions' };
+        }
+        update.polygon = { type: 'Polygon', coordinates: coordinates.map(ring => ring.map(([lng, lat]) => [lng, lat])) };
+    }
+
+    if (input.courseBufferM === null) {
+        update.courseBufferM = null;
+    } else if (input.courseBufferM !== undefined) {
+        const courseBufferM = Number(input.courseBufferM);
+        if (!(courseBufferM >= config.minCourseBufferM && courseBufferM <= config.maxCourseBufferM)) {
+            return {
+                update: null,
+                error: `courseBufferM must be between ${config.minCourseBufferM} and ${config.maxCourseBufferM} meters`
+            };
+        }
+        update.courseBufferM = courseBufferM;
+    }
+
+    if (Object.keys(update).length === 0) {
+        return { update: null, error: 'Send polygon, bounds and/or courseBufferM' };
+    }
+
+    return { update, error: null };
+}
+
+/**
+ * Get the allowed area for an event
+ * @param {Object|null} event - Event document
+ * @param {Object} config - Geofence configuration
+ * @returns {Object|null} { polygon, courseBufferM } or null when the event has no area to enforce
+ */
+function getEventGeofence(event, config = GEOFENCE_CONFIG) {
+    if (!event) return null;
+
+    const geofence = event.geofence || {};
+    const polygon = geofence.polygon && geofence.polygon.coordinates && geofence.polygon.coordinates.length > 0
+        ? geofence.polygon.coordinates
+        : null;
+
+    // A course is a geofence in itself - stray too far from it and the runner is off course
+    const hasCourse = Boolean(getEventCourse(event));
+    const courseBufferM = hasCourse ? (geofence.courseBufferM || config.courseBufferM) : null;
+
+    if (!polygon && !courseBufferM) return null;
+
+    return { polygon, courseBufferM };
+}
+
+/**
+ * Ray-casting test for a point inside one polygon ring
+ * @param {Array<Array<number>>} ring - [[lng, lat], ...]
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {boolean} True if inside
+ */
+function isInsideRing(ring, lat, lng) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Check a position against an event geofence
+ * @param {Object} geofence - Geofence from getEventGeofence
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Object} [courseMatch] - Result of matching the position onto the course ({ offsetM })
+ * @returns {Object} { inside, reason } where reason is 'outside_area' or 'off_course'
+ */
+function checkGeofence(geofence, lat, lng, courseMatch) {
+    if (geofence.polygon) {
+        const [outer, ...holes] = geofence.polygon;
+        if (!isInsideRing(outer, lat, lng) || holes.some(hole => isInsideRing(hole, lat, lng))) {
+            return { inside: false, reason: 'outside_area' };
+        }
+    }
+
+    if (geofence.courseBufferM && courseMatch && courseMatch.offsetM > geofence.courseBufferM) {
+        return { inside: false, reason: 'off_course' };
+    }
+
+    return { inside: true };
+}
+
+module.exports = {
+    GEOFENCE_CONFIG,
+    boundsToPolygon,
+    parseGeofenceInput,
+    getEventGeofence,
+    checkGeofence
+};
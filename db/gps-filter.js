@@ -0,0 +1,102 @@
+// db/gps-filter.js - GPS noise filtering applied before distance accumulation
+const { calculateDistance } = require('./utils');
+
+// Filter configuration (override with environment variables)
+const FILTER_CONFIG = {
+    // Fixes reporting worse accuracy than this are rejected
+    maxAccuracyM: Number(process.env.GPS_MAX_ACCURACY_M) || 50,
+    // Faster than any human runner - anything above is a GPS jump
+    maxSpeedMps: Number(process.env.GPS_MAX_SPEED_MPS) || 12,
+    // After this many consecutive jump rejections, trust the new position
+    maxJumpStreak: Number(process.env.GPS_MAX_JUMP_STREAK) || 3,
+    // Kalman smoothing of accepted fixes
+    smoothing: process.env.GPS_SMOOTHING === 'true',
+    // Kalman process noise in meters per second
+    processNoiseMps: Number(process.env.GPS_PROCESS_NOISE_MPS) || 3
+};
+
+/**
+ * Build filter state continuing from the last accepted ping
+ * @param {Object|null} previousPing - Last accepted LocationPing document
+ * @param {number} jumpStreak - Consecutive jump rejections since that ping
+ * @returns {Object} Filter state
+ */
+function createFilterState(previousPing, jumpStreak = 0) {
+    if (!previousPing) {
+        return { lat: null, lng: null, ts: null, variance: -1, jumpStreak: 0 };
+    }
+
+    const [lng, lat] = previousPing.loc.coordinates;
+    const accuracy = previousPing.accuracy || 10;
+
+    return {
+        lat,
+        lng,
+        ts: previousPing.ts,
+        variance: previousPing.filter && previousPing.filter.variance !== undefined
+            ? previousPing.filter.variance
+            : accuracy * accuracy,
+        jumpStreak
+    };
+}
+
+/**
+ * Run one ping through the filter, updating the state if it is accepted
+ * @param {Object} state - State from createFilterState (mutated)
+ * @param {Object} ping - Parsed ping ({ lat, lng, ts, accuracy })
+ * @param {Object} config - Filter configuration
+ * @returns {Object} { accepted, reason, lat, lng, segmentMeters, dtSec, variance, reanchored }
+ */
+function applyGpsFilter(state, ping, config = FILTER_CONFIG) {
+    const accuracy = ping.accuracy || 10;
+
+    if (accuracy > config.maxAccuracyM) {
+        return { accepted: false, reason: 'low_accuracy' };
+    }
+
+    // First accepted fix anchors the track
+    if (state.variance < 0) {
+        Object.assign(state, { lat: ping.lat, lng: ping.lng, ts: ping.ts, variance: accuracy * accuracy, jumpStreak: 0 });
+        return { accepted: true, lat: ping.lat, lng: ping.lng, segmentMeters: 0, dtSec: 0, variance: state.variance };
+    }
+
+    const dtSec = (ping.ts - state.ts) / 1000;
+    const rawSegment = calculateDistance(state.lat, state.lng, ping.lat, ping.lng);
+    const impliedSpeed = rawSegment / Math.max(dtSec, 1);
+
+    if (impliedSpeed > config.maxSpeedMps) {
+        if (state.jumpStreak + 1 < config.maxJumpStreak) {
+            state.jumpStreak++;
+            return { accepted: false, reason: 'impossible_jump' };
+        }
+
+        // The runner really is over there - restart the track without counting the jump
+        Object.assign(state, { lat: ping.lat, lng: ping.lng, ts: ping.ts, variance: accuracy * accuracy, jumpStreak: 0 });
+        return { accepted: true, reanchored: true, lat: ping.lat, lng: ping.lng, segmentMeters: 0, dtSec, variance: state.variance };
+    }
+
+    let lat = ping.lat;
+    let lng = ping.lng;
+    let variance = accuracy * accuracy;
+
+    if (config.smoothing) {
+        // Grow uncertainty with elapsed time, then blend in the new fix by its accuracy
+        variance = state.variance + Math.max(dtSec, 0) * config.processNoiseMps * config.processNoiseMps;
+        const gain = variance / (variance + accuracy * accuracy);
+        lat = state.lat + gain * (ping.lat - state.lat);
+        lng = state.lng + gain * (ping.lng - state.lng);
+        variance = (1 - gain) * variance;
+    }
+
+    const segmentMeters = config.smoothing ? calculateDistance(state.lat, state.lng, lat, lng) : rawSegment;
+
+    Object.assign(state, { lat, lng, ts: ping.ts, variance, jumpStreak: 0 });
+
+    return { accepted: true, lat, lng, segmentMeters, dtSec, variance };
+}
+
+module.exports = {
+    FILTER_CONFIG,
+    createFilterState,
+    applyGpsFilter
+};
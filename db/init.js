@@ -1,12 +1,15 @@
 // db/init.js - Database initialization script
 const { connectDB, mongoose } = require('./db');
-const { User, Event, Activity, LocationPing, Cheer } = require('./models');
+const { User, Event, Activity, LocationPing, LocationRollup, Cheer } = require('./models');
 const { 
     generateUserId, 
     generateEventId, 
     generateActivityId, 
-    generateShareToken 
+    generateShareToken,
+    generateRunnerToken,
+    getBerlinMarathonBounds
 } = require('./utils');
+const { boundsToPolygon } = require('./geofence');
 
 async function initializeDatabase() {
     try {
@@ -23,6 +26,9 @@ async function initializeDatabase() {
         
         // Seed initial data
         await seedInitialData();
+
+        // Give Berlin events from before per-event geofences their area
+        await backfillBerlinGeofence();
         
         console.log('✅ Database initialization completed successfully!');
         
@@ -37,7 +43,7 @@ async function createCollections() {
     
     try {
         // Force collection creation by inserting and removing a dummy document
-        const collections = [User, Event, Activity, LocationPing, Cheer];
+        const collections = [User, Event, Activity, LocationPing, LocationRollup, Cheer];
         
         for (const Collection of collections) {
             const collectionName = Collection.collection.name;
@@ -48,11 +54,14 @@ async function createCollections() {
                 const collectionsList = await mongoose.connection.db.listCollections({ name: collectionName }).toArray();
                 
                 if (collectionsList.length === 0) {
-                    // Create collection if it doesn't exist
-                    await mongoose.connection.createCollection(collectionName);
+                    // Create collection if it doesn't exist (with the schema's time-series options)
+                    await Collection.createCollection();
                     console.log(`    ✅ Created collection: ${collectionName}`);
                 } else {
                     console.log(`    ℹ️  Collection ${collectionName} already exists`);
+                    if (Collection.schema.options.timeseries && collectionsList[0].type !== 'timeseries') {
+                        console.log(`    ⚠️  ${collectionName} is not a time-series collection - run npm run db:migrate:timeseries`);
+                    }
                 }
                 
                 // Create/update indexes (safe to run multiple times)
@@ -110,6 +119,9 @@ async function seedInitialData() {
             },
             type: 'marathon',
             distance: 42195, // 42.195 km in meters
+            geofence: {
+                polygon: boundsToPolygon(getBerlinMarathonBounds())
+            },
             route: {
                 checkpoints: [
                     {
@@ -252,6 +264,7 @@ async function seedInitialData() {
                     token: generateShareToken(),
                     expiresAt: null
                 },
+                runnerToken: generateRunnerToken(),
                 settings: {
                     pingIntervalSec: 10,
                     cheersEnabled: true,
@@ -271,6 +284,18 @@ async function seedInitialData() {
     }
 }
 
+async function backfillBerlinGeofence() {
+    // Berlin events used to be checked against the hard-coded bounds - keep that as their area
+    const result = await Event.updateMany(
+        { name: /berlin.*marathon/i, 'geofence.polygon.coordinates.0': { $exists: false } },
+        { $set: { 'geofence.polygon': boundsToPolygon(getBerlinMarathonBounds()) } }
+    );
+
+    if (result.modifiedCount > 0) {
+        console.log(`  ✅ Added the Berlin area geofence to ${result.modifiedCount} event(s)`);
+    }
+}
+
 async function createSampleData() {
     console.log('🎯 Creating additional sample data...');
     
@@ -364,7 +389,7 @@ async function showDatabaseStatus() {
     console.log('\n📊 Database Status:');
     
     try {
-        const collections = ['users', 'events', 'activities', 'locationpings', 'cheers'];
+        const collections = ['users', 'events', 'activities', 'locationpings', 'locationrollups', 'cheers'];
         
         for (const collectionName of collections) {
             const count = await mongoose.connection.db.collection(collectionName).countDocuments();
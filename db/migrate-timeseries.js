@@ -0,0 +1,150 @@
+// db/migrate-timeseries.js - Move location pings from a regular collection into a time-series collection
+const { connectDB, mongoose } = require('./db');
+const { LocationPing } = require('./models');
+
+// Documents copied per insert
+const BATCH_SIZE = 1000;
+
+// Records a finished copy, so a re-run can tell it apart from an interrupted one
+const MARKER_COLLECTION = 'migrations';
+const MARKER_ID = 'locationpings-timeseries';
+
+/**
+ * Collection info from listCollections, or null if it doesn't exist
+ * @param {string} name - Collection name
+ * @returns {Promise<Object|null>} Collection info
+ */
+async function getCollectionInfo(name) {
+    const [info] = await mongoose.connection.db.listCollections({ name }).toArray();
+    return info || null;
+}
+
+/**
+ * Insert the documents of a batch that the target doesn't hold yet
+ * @param {Object} target - Collection to copy into
+ * @param {Array<Object>} batch - Documents from the legacy collection
+ * @returns {Promise<number>} Number of documents inserted
+ */
+async function copyMissing(target, batch) {
+    const present = await target.find({ _id: { $in: batch.map(doc => doc._id) } }, { projection: { _id: 1 } }).toArray();
+    const presentIds = new Set(present.map(doc => String(doc._id)));
+    const missing = batch.filter(doc => !presentIds.has(String(doc._id)));
+
+    if (missing.length > 0) {
+        await target.insertMany(missing, { ordered: false });
+    }
+    return missing.length;
+}
+
+/**
+ * Copy every location ping into a fresh time-series collection
+ *
+ * The regular collection is renamed to `<name>_legacy` first and only dropped when
+ * asked to, so the migration can be checked before the old data is gone. Running it
+ * again resumes an interrupted copy or, once finished, only drops the legacy copy -
+ * the time-series collection is never dropped, as the server may already be writing to it.
+ * @param {Object} options - { dropLegacy }
+ * @returns {Promise<Object>} { migrated, copied, legacyDropped }
+ */
+async function migrateLocationPings(options = {}) {
+    const db = mongoose.connection.db;
+    const name = LocationPing.collection.name;
+    const legacyName = `${name}_legacy`;
+    const markers = db.collection(MARKER_COLLECTION);
+
+    const current = await getCollectionInfo(name);
+    const legacy = await getCollectionInfo(legacyName);
+    const marker = await markers.findOne({ _id: MARKER_ID });
+
+    let legacyDropped = false;
+    const dropLegacy = async () => {
+        await db.collection(legacyName).drop();
+        legacyDropped = true;
+        console.log(`🗑️  Dropped ${legacyName}`);
+    };
+
+    if (current && current.type === 'timeseries' && (!legacy || marker)) {
+        console.log(`ℹ️  ${name} is already a time-series collection`);
+        if (legacy && options.dropLegacy) {
+            await dropLegacy();
+        }
+        return { migrated: false, copied: 0, legacyDropped };
+    }
+
+    if (current && current.type !== 'timeseries') {
+        if (legacy) {
+            throw new Error(`Both ${name} and ${legacyName} exist as regular collections - resolve manually`);
+        }
+        console.log(`📦 Renaming ${name} to ${legacyName}`);
+        await db.collection(name).rename(legacyName);
+    }
+
+    if (current && current.type === 'timeseries') {
+        // A previous run stopped part way through the copy - carry on where it left off
+        console.log(`🔁 Resuming interrupted migration into ${name}`);
+    } else {
+        await LocationPing.createCollection();
+        console.log(`✅ Created time-series collection ${name}`);
+    }
+
+    let copied = 0;
+    if (legacy || current) {
+        const target = db.collection(name);
+        const total = await db.collection(legacyName).countDocuments();
+        const cursor = db.collection(legacyName).find({}).sort({ ts: 1 });
+        let seen = 0;
+        let batch = [];
+
+        for await (const doc of cursor) {
+            batch.push(doc);
+            if (batch.length === BATCH_SIZE) {
+                copied += await copyMissing(target, batch);
+                seen += batch.length;
+                batch = [];
+                console.log(`  - Checked ${seen}/${total} pings, ${copied} copied`);
+            }
+        }
+        if (batch.length > 0) {
+            copied += await copyMissing(target, batch);
+            seen += batch.length;
+        }
+
+        if (seen !== total) {
+            throw new Error(`Read ${seen} of ${total} pings - ${legacyName} kept for inspection`);
+        }
+        console.log(`✅ Copied ${copied} pings (${total - copied} were already there)`);
+    }
+
+    await markers.updateOne(
+        { _id: MARKER_ID },
+        { $set: { completedAt: new Date(), copied } },
+        { upsert: true }
+    );
+
+    await LocationPing.createIndexes();
+    console.log(`✅ Indexes created for ${name}`);
+
+    if (options.dropLegacy && (legacy || current)) {
+        await dropLegacy();
+    }
+
+    return { migrated: true, copied, legacyDropped };
+}
+
+// Main execution
+if (require.main === module) {
+    connectDB()
+        .then(() => migrateLocationPings({ dropLegacy: process.argv.includes('--drop-legacy') }))
+        .then((result) => {
+            console.log('\n🎯 Location ping migration finished:', result);
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('\n💥 Location ping migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    migrateLocationPings
+};
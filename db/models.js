@@ -55,6 +55,18 @@ const userSchema = new mongoose.Schema({
             default: 0.8,
             min: 0.0,
             max: 1.0
+        },
+        heartRate: {
+            max: {
+                type: Number,
+                min: 100,
+                max: 230
+            },
+            resting: {
+                type: Number,
+                min: 30,
+                max: 120
+            }
         }
     }
 });
@@ -105,9 +117,22 @@ const eventSchema = new mongoose.Schema({
         required: true
     },
     route: {
+        // Official course line, used to map-match pings to km markers
+        course: {
+            type: {
+                type: String,
+                enum: ['LineString']
+            },
+            coordinates: {
+                type: [[Number]], // [[lng, lat], ...] from start to finish
+                default: undefined
+            }
+        },
+        measuredDistanceMeters: Number, // length of the imported course line
         checkpoints: [{
             name: String,
             distance: Number, // meters from start
+            auto: Boolean, // km marker generated by course import
             coordinates: {
                 type: {
                     type: String,
@@ -118,6 +143,20 @@ const eventSchema = new mongoose.Schema({
             }
         }]
     },
+    geofence: {
+        // Allowed area for runner positions
+        polygon: {
+            type: {
+                type: String,
+                enum: ['Polygon']
+            },
+            coordinates: {
+                type: [[[Number]]], // [[[lng, lat], ...]] outer ring, then any holes
+                default: undefined
+            }
+        },
+        courseBufferM: Number // allowed distance from the course line
+    },
     settings: {
         maxParticipants: Number,
         registrationOpen: {
@@ -142,6 +181,35 @@ const eventSchema = new mongoose.Schema({
 // Create geospatial index for event location
 eventSchema.index({ 'location.coordinates': '2dsphere' });
 
+// Split Schema (time taken for each km or mile of an activity)
+const splitSchema = new mongoose.Schema({
+    index: Number, // 1-based split number
+    distanceMeters: Number, // boundary distance from start
+    at: Date, // interpolated time the boundary was crossed
+    elapsedSec: Number, // activity time at the crossing
+    splitSec: Number, // time taken for this split
+    elevationGainM: Number, // climbed during this split
+    elevationLossM: Number, // descended during this split
+    gradeAdjustedPaceSecPerKm: Number, // equivalent pace on the flat
+    totalGainM: Number, // activity totals at the boundary, to diff the next split against
+    totalLossM: Number,
+    totalAdjustedMeters: Number
+}, { _id: false });
+
+// Checkpoint Passage Schema (when an activity passed one of the event's route checkpoints)
+const checkpointPassageSchema = new mongoose.Schema({
+    checkpointId: String, // _id of the event route checkpoint
+    name: String,
+    distanceMeters: Number, // checkpoint distance from start
+    at: Date, // time the checkpoint was passed
+    elapsedSec: Number, // activity time at the checkpoint
+    splitSec: Number, // time since the previous checkpoint (or the start)
+    method: {
+        type: String,
+        enum: ['course', 'proximity'] // crossed by course distance or by coming close to it
+    }
+}, { _id: false });
+
 // Activity Schema (for each runner's participation in an event)
 const activitySchema = new mongoose.Schema({
     _id: {
@@ -169,12 +237,26 @@ const activitySchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['planned', 'active', 'finished', 'cancelled'],
+        enum: ['planned', 'active', 'paused', 'finished', 'cancelled'],
         default: 'planned',
         index: true
     },
     startedAt: Date,
+    pausedAt: Date, // set while the runner has manually paused
+    pauses: [{ // finished manual pauses, so a replay can leave them off the race clock
+        _id: false,
+        startedAt: Date,
+        endedAt: Date
+    }],
     endedAt: Date,
+    endReason: {
+        type: String,
+        enum: ['runner', 'signal_lost']
+    },
+    storage: {
+        rolledUpAt: Date, // per-minute rollups written
+        rawExpiredAt: Date // raw pings deleted, only rollups remain
+    },
     share: {
         public: {
             type: Boolean,
@@ -194,6 +276,17 @@ const activitySchema = new mongoose.Schema({
         },
         expiresAt: Date
     },
+    // Private to the runner's phone (handed out by /start), unlike the share token in the public link
+    runnerToken: {
+        type: String,
+        select: false,
+        validate: {
+            validator: function(v) {
+                return /^rt_[a-f0-9]{32}$/.test(v);
+            },
+            message: 'Runner token must start with "rt_" followed by 32 hex characters'
+        }
+    },
     settings: {
         pingIntervalSec: {
             type: Number,
@@ -209,6 +302,16 @@ const activitySchema = new mongoose.Schema({
             type: String,
             default: 'en-US',
             enum: ['en-GB', 'en-US', 'de-DE', 'fr-FR', 'es-ES']
+        },
+        targetPaceSecPerKm: {
+            type: Number,
+            min: 120,
+            max: 1200
+        },
+        // Voice cheers can't be checked by the word filter, so they wait for the runner unless this is on
+        autoApproveVoiceCheers: {
+            type: Boolean,
+            default: false
         }
     },
     stats: {
@@ -219,8 +322,58 @@ const activitySchema = new mongoose.Schema({
         },
         avgPaceSecPerKm: Number,
         maxSpeedMps: Number,
-        totalTimeSec: Number
+        totalTimeSec: Number,
+        pausedTimeSec: {
+            type: Number,
+            default: 0
+        },
+        rejectedPings: {
+            type: Number,
+            default: 0
+        },
+        movingTimeSec: {
+            type: Number,
+            default: 0
+        },
+        movingPaceSecPerKm: Number,
+        autoPaused: {
+            type: Boolean,
+            default: false
+        },
+        autoPausedAt: Date, // start of the current stationary stretch
+        elevationGainM: {
+            type: Number,
+            default: 0
+        },
+        elevationLossM: {
+            type: Number,
+            default: 0
+        },
+        elevationAnchorM: Number, // smoothed elevation where the last counted climb/descent ended
+        currentGradePct: Number,
+        gradeAdjustedMeters: Number, // flat-equivalent distance
+        gradeAdjustedPaceSecPerKm: Number,
+        courseDistanceMeters: Number, // position along the event course (km marker)
+        offCourse: {
+            type: Boolean,
+            default: false
+        },
+        offCourseSince: Date, // first fix outside the event geofence
+        offCourseReason: {
+            type: String,
+            enum: ['outside_area', 'off_course']
+        },
+        signalLost: {
+            type: Boolean,
+            default: false
+        },
+        signalLostAt: Date // when the watchdog noticed the phone had gone quiet
+    },
+    splits: {
+        km: [splitSchema],
+        mile: [splitSchema]
     },
+    checkpoints: [checkpointPassageSchema],
     createdAt: {
         type: Date,
         default: Date.now
@@ -250,6 +403,7 @@ const locationPingSchema = new mongoose.Schema({
         required: true,
         index: true
     },
+    clientId: String, // pingId or `seq:<n>` from the phone, for ignoring retried uploads
     loc: {
         type: {
             type: String,
@@ -262,7 +416,11 @@ const locationPingSchema = new mongoose.Schema({
         }
     },
     speedMps: Number, // speed in meters per second
+    distance: Number, // cumulative meters from the start of the activity
+    moving: Boolean, // false when the segment ending here was stationary
     elevM: Number, // elevation in meters
+    elevSmoothedM: Number, // elevation after smoothing
+    gradePct: Number, // smoothed grade at this fix
     battery: {
         type: Number,
         min: 0.0,
@@ -271,13 +429,108 @@ const locationPingSchema = new mongoose.Schema({
     accuracy: Number, // GPS accuracy in meters
     heading: Number, // direction in degrees
     heartRate: Number,
-    cadence: Number // steps per minute
+    cadence: Number, // steps per minute
+    filter: {
+        rejected: {
+            type: Boolean,
+            default: false
+        },
+        reason: {
+            type: String,
+            enum: ['low_accuracy', 'impossible_jump']
+        },
+        reanchored: Boolean, // accepted after repeated jumps, distance not counted
+        variance: Number, // Kalman variance (m²) carried to the next fix
+        rawCoordinates: [Number] // [lng, lat] before smoothing
+    },
+    course: {
+        matched: Boolean, // snapped onto the event course
+        distance: Number, // meters along the course (official km markers)
+        offsetM: Number, // distance from the fix to the course line
+        coordinates: [Number] // [lng, lat] snapped onto the course
+    },
+    geofence: {
+        inside: Boolean, // within the event's allowed area
+        reason: {
+            type: String,
+            enum: ['outside_area', 'off_course']
+        }
+    },
+    // Running totals after this fix, so a late fix only re-runs the track from here on
+    resume: {
+        movingTimeSec: Number,
+        autoPausedAt: Date,
+        maxSpeedMps: Number,
+        elevationGainM: Number,
+        elevationLossM: Number,
+        elevationAnchorM: Number,
+        currentGradePct: Number,
+        gradeAdjustedMeters: Number,
+        courseDistanceMeters: Number,
+        offCourseSince: Date,
+        offCourseReason: String
+    }
+}, {
+    // Stored as a MongoDB time-series collection bucketed by activity
+    timeseries: {
+        timeField: 'ts',
+        metaField: 'meta',
+        granularity: 'seconds'
+    }
 });
 
 // Create geospatial index for efficient location queries
 locationPingSchema.index({ loc: '2dsphere' });
 locationPingSchema.index({ 'meta.activityId': 1, ts: -1 });
 locationPingSchema.index({ 'meta.runnerId': 1, ts: -1 });
+locationPingSchema.index({ 'meta.activityId': 1, 'filter.rejected': 1, ts: -1 });
+locationPingSchema.index({ 'meta.activityId': 1, clientId: 1 });
+
+// Location Rollup Schema (per-minute summary of pings, kept after raw points expire)
+const locationRollupSchema = new mongoose.Schema({
+    meta: {
+        activityId: {
+            type: String,
+            required: true
+        },
+        runnerId: {
+            type: String,
+            required: true
+        }
+    },
+    minute: {
+        type: Date,
+        required: true
+    },
+    pings: Number, // fixes received in the minute
+    accepted: Number, // fixes that passed the GPS filter
+    startDistance: Number, // cumulative meters at the first accepted fix
+    endDistance: Number, // cumulative meters at the last accepted fix
+    courseDistance: Number, // position along the course at the last matched fix
+    firstTs: Date,
+    lastTs: Date,
+    loc: {
+        type: {
+            type: String,
+            enum: ['Point']
+        },
+        coordinates: [Number] // [lng, lat] of the last accepted fix, course-snapped where matched
+    },
+    avgSpeedMps: Number,
+    maxSpeedMps: Number,
+    elevM: Number, // smoothed elevation at the last fix
+    heartRate: {
+        avg: Number,
+        max: Number
+    },
+    cadence: {
+        avg: Number,
+        max: Number
+    },
+    battery: Number // last reported level
+});
+
+locationRollupSchema.index({ 'meta.activityId': 1, minute: 1 }, { unique: true });
 
 // Cheer Message Schema (encouraging messages from supporters)
 const cheerSchema = new mongoose.Schema({
@@ -309,6 +562,24 @@ const cheerSchema = new mongoose.Schema({
         default: Date.now,
         index: true
     },
+    // Recorded voice cheer, played instead of reading the message out
+    audio: {
+        file: String, // name under CHEER_AUDIO_DIR
+        contentType: String,
+        bytes: Number,
+        durationSec: Number
+    },
+    // Holds the cheer out of the phone's queue until the runner gets there
+    trigger: {
+        type: {
+            type: String,
+            enum: ['distance', 'checkpoint', 'time']
+        },
+        distanceMeters: Number, // position along the course (or GPS distance)
+        checkpointId: String, // event route checkpoint
+        checkpointName: String,
+        at: Date // clock time
+    },
     deliveredAt: Date, // when fetched by phone
     spokenAt: Date, // after TTS on device
     mod: {
@@ -316,19 +587,29 @@ const cheerSchema = new mongoose.Schema({
             type: Boolean,
             default: false
         },
-        reason: String
+        reason: String,
+        matches: [String], // text that tripped the filter, for the reviewer
+        // pending cheers are held out of the runner's queue until reviewed
+        status: {
+            type: String,
+            enum: ['approved', 'pending', 'rejected'],
+            default: 'approved'
+        },
+        reviewedAt: Date
     }
 });
 
 // Create indexes for efficient queries
 cheerSchema.index({ activityId: 1, createdAt: -1 });
 cheerSchema.index({ 'meta.runnerId': 1, deliveredAt: 1 });
+cheerSchema.index({ activityId: 1, 'mod.status': 1, createdAt: 1 });
 
 // Create the models
 const User = mongoose.model('User', userSchema);
 const Event = mongoose.model('Event', eventSchema);
 const Activity = mongoose.model('Activity', activitySchema);
 const LocationPing = mongoose.model('LocationPing', locationPingSchema);
+const LocationRollup = mongoose.model('LocationRollup', locationRollupSchema);
 const Cheer = mongoose.model('Cheer', cheerSchema);
 
 module.exports = {
@@ -336,5 +617,6 @@ module.exports = {
     Event,
     Activity,
     LocationPing,
+    LocationRollup,
     Cheer
 };
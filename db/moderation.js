@@ -0,0 +1,137 @@
+// db/moderation.js - Word-list, pattern and spam checks for cheers before they are read aloud
+const fs = require('fs');
+
+// Words held for review when they appear in a cheer (extend with CHEER_BLOCKED_WORDS or CHEER_FILTER_FILE)
+const DEFAULT_BLOCKED_WORDS = [
+    'fuck', 'shit', 'cunt', 'bitch', 'asshole', 'bastard', 'dickhead', 'wanker', 'slut', 'whore', 'retard'
+];
+
+// Look-alike characters people use to get words past a filter
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i' };
+
+/**
+ * Read extra words and patterns from the JSON file named by CHEER_FILTER_FILE
+ * @param {string|undefined} filePath - Path to { "words": [...], "patterns": [...] }
+ * @returns {Object} { words, patterns }
+ */
+function loadFilterFile(filePath) {
+    if (!filePath) return { words: [], patterns: [] };
+
+    try {
+        const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return {
+            words: Array.isArray(parsed.words) ? parsed.words.map(String) : [],
+            patterns: Array.isArray(parsed.patterns) ? parsed.patterns.map(String) : []
+        };
+    } catch (error) {
+        console.error(`⚠️  Could not read cheer filter file ${filePath}:`, error.message);
+        return { words: [], patterns: [] };
+    }
+}
+
+const filterFile = loadFilterFile(process.env.CHEER_FILTER_FILE);
+
+// Moderation configuration (override with environment variables)
+const MODERATION_CONFIG = {
+    blockedWords: [
+        ...DEFAULT_BLOCKED_WORDS,
+        ...(process.env.CHEER_BLOCKED_WORDS || '').split(',').map(word => word.trim()).filter(Boolean),
+        ...filterFile.words
+    ],
+    // Regular expressions (case-insensitive) that hold a cheer for review
+    blockedPatterns: filterFile.patterns,
+    // The same cheer from the same sender within this window is treated as spam
+    duplicateWindowSec: Number(process.env.CHEER_DUPLICATE_WINDOW_SEC) || 600,
+    // A character repeated more than this many times in a row is keyboard mashing
+    maxRepeatedChars: 7
+};
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compile the configured word list and patterns once
+ * @param {Object} config - Moderation configuration
+ * @returns {Object} { words: [{ word, regex }], patterns: [RegExp] }
+ */
+function compileFilters(config = MODERATION_CONFIG) {
+    return {
+        words: config.blockedWords.map(word => ({
+            word,
+            regex: new RegExp(`\\b${escapeRegExp(word.toLowerCase())}(?:s|es|ed|er|ers|ing|y)?\\b`, 'i')
+        })),
+        patterns: config.blockedPatterns.reduce((compiled, source) => {
+            try {
+                compiled.push(new RegExp(source, 'i'));
+            } catch (error) {
+                console.error(`⚠️  Ignoring invalid cheer filter pattern /${source}/:`, error.message);
+            }
+            return compiled;
+        }, [])
+    };
+}
+
+const compiledFilters = compileFilters();
+
+// Lowercase and undo look-alike substitutions so "sh1t" matches "shit"
+function normalizeText(text) {
+    return text.toLowerCase().replace(/[0134579@$!]/g, char => LOOKALIKES[char] || char);
+}
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|io|ru|xyz|info|biz|ly|me|link|click|top|site|shop)\b/i;
+const EMAIL_PATTERN = /\b[^\s@]+@[^\s@]+\.[a-z]{2,}\b/i;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{7,}\d/;
+
+/**
+ * Check a cheer (as typed, before HTML escaping) against the filters and spam heuristics
+ * @param {Object} cheer - { sender, message }
+ * @param {Object} context - { isDuplicate, holdVoiceNote } where isDuplicate comes from the caller's
+ *   lookup of recent cheers and holdVoiceNote is set for recordings the runner hasn't chosen to auto-approve
+ * @param {Object} filters - Filters from compileFilters
+ * @param {Object} config - Moderation configuration
+ * @returns {Object} { flagged, reason, matches } where reason lists the problems found, comma-separated
+ */
+function moderateCheer(cheer, context = {}, filters = compiledFilters, config = MODERATION_CONFIG) {
+    const reasons = [];
+    const matches = [];
+    const flag = (reason, match) => {
+        if (!reasons.includes(reason)) reasons.push(reason);
+        if (match && !matches.includes(match)) matches.push(match);
+    };
+
+    [cheer.sender, cheer.message].forEach(text => {
+        if (typeof text !== 'string') return;
+        const normalized = normalizeText(text);
+
+        filters.words.forEach(({ word, regex }) => {
+            if (regex.test(text) || regex.test(normalized)) flag('blocked_word', word);
+        });
+        filters.patterns.forEach(regex => {
+            const match = regex.exec(text);
+            if (match) flag('blocked_pattern', match[0]);
+        });
+
+        const link = LINK_PATTERN.exec(text);
+        if (link) flag('link', link[0]);
+
+        const contact = EMAIL_PATTERN.exec(text) || PHONE_PATTERN.exec(text);
+        if (contact) flag('contact_info', contact[0]);
+
+        if (new RegExp(`(.)\\1{${config.maxRepeatedChars},}`).test(text)) flag('spam');
+    });
+
+    if (context.isDuplicate) flag('duplicate');
+    // Only the text around a recording can be checked, so the runner has to listen to it first
+    if (context.holdVoiceNote) flag('voice_note');
+
+    return {
+        flagged: reasons.length > 0,
+        reason: reasons.length > 0 ? reasons.join(',') : null,
+        matches
+    };
+}
+
+module.exports = {
+    MODERATION_CONFIG,
+    compileFilters,
+    moderateCheer
+};
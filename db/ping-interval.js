@@ -0,0 +1,88 @@
+// db/ping-interval.js - Recommend how often the phone should send its next location
+
+// Ping interval configuration (override with environment variables)
+const PING_INTERVAL_CONFIG = {
+    // Same limits as Activity.settings.pingIntervalSec
+    minSec: 5,
+    maxSec: 60,
+    // Ping as often as possible this close to a checkpoint or the finish, so passages are timed well
+    nearCheckpointM: Number(process.env.PING_NEAR_CHECKPOINT_M) || 300,
+    nearFinishM: Number(process.env.PING_NEAR_FINISH_M) || 1000,
+    // Battery levels (0-1) below which the phone is asked to ping less often
+    lowBattery: Number(process.env.PING_LOW_BATTERY) || 0.3,
+    criticalBattery: Number(process.env.PING_CRITICAL_BATTERY) || 0.15,
+    // Stopped runners don't need frequent updates
+    autoPausedFactor: 3
+};
+
+/**
+ * Distance to the next checkpoint ahead of a course position
+ *
+ * Generated km markers are skipped - with one every km, pinging fast near each of
+ * them would mean fast pings for much of the race.
+ * @param {Array<Object>} checkpoints - Checkpoints from getEventCheckpoints
+ * @param {number} positionMeters - Course (or GPS) distance covered
+ * @returns {number|null} Meters to the next checkpoint, null when none is ahead
+ */
+function getNextCheckpointDistance(checkpoints, positionMeters) {
+    const next = checkpoints.find(checkpoint =>
+        !checkpoint.auto && checkpoint.distanceMeters !== undefined && checkpoint.distanceMeters > positionMeters);
+    return next ? next.distanceMeters - positionMeters : null;
+}
+
+/**
+ * Recommend the interval until the next location ping
+ * @param {Object} state - { baseSec, battery, remainingMeters, totalMeters, nextCheckpointM, autoPaused }
+ *   where battery is the last reported level (0-1) and the distances are null when unknown
+ * @param {Object} config - Ping interval configuration
+ * @returns {Object} { intervalSec, reason }
+ */
+function recommendPingInterval(state, config = PING_INTERVAL_CONFIG) {
+    const baseSec = state.baseSec || 10;
+    const hasBattery = typeof state.battery === 'number' && state.battery >= 0 && state.battery <= 1;
+    const clamp = value => Math.round(Math.max(config.minSec, Math.min(config.maxSec, value)));
+
+    // The finish matters more than the last few percent of battery
+    if (state.remainingMeters !== null && state.remainingMeters <= config.nearFinishM) {
+        return { intervalSec: config.minSec, reason: 'near_finish' };
+    }
+
+    if (hasBattery && state.battery < config.criticalBattery) {
+        return { intervalSec: config.maxSec, reason: 'battery_critical' };
+    }
+
+    // A phone already low on battery saves it for the finish rather than spending it on checkpoints
+    const lowBattery = hasBattery && state.battery < config.lowBattery;
+    if (!lowBattery && state.nextCheckpointM !== null && state.nextCheckpointM <= config.nearCheckpointM) {
+        return { intervalSec: config.minSec, reason: 'near_checkpoint' };
+    }
+
+    if (state.autoPaused) {
+        return { intervalSec: clamp(baseSec * config.autoPausedFactor), reason: 'auto_paused' };
+    }
+
+    if (hasBattery) {
+        // Stretch pings so the battery share left covers the share of the race left
+        const remainingShare = state.remainingMeters !== null && state.totalMeters > 0
+            ? state.remainingMeters / state.totalMeters
+            : 0;
+        const budgetFactor = state.battery > 0 ? remainingShare / state.battery : 1;
+        const lowFactor = state.battery < config.lowBattery ? 2 : 1;
+        const factor = Math.max(budgetFactor, lowFactor);
+
+        if (factor > 1) {
+            return {
+                intervalSec: clamp(baseSec * factor),
+                reason: lowFactor >= budgetFactor ? 'battery_low' : 'battery_budget'
+            };
+        }
+    }
+
+    return { intervalSec: clamp(baseSec), reason: 'default' };
+}
+
+module.exports = {
+    PING_INTERVAL_CONFIG,
+    getNextCheckpointDistance,
+    recommendPingInterval
+};
@@ -0,0 +1,150 @@
+// db/prediction.js - Finish time prediction from event distance and recent pace
+const { LocationPing } = require('./models');
+const { calculatePace, estimateFinishTime, formatTime } = require('./utils');
+
+// Prediction configuration (override with environment variables)
+const PREDICTION_CONFIG = {
+    // Window used for the rolling pace
+    rollingWindowSec: Number(process.env.PREDICTION_WINDOW_SEC) || 600,
+    // Share of the rolling pace when blending with the average pace
+    rollingWeight: 0.6,
+    // Uncertainty at the start and at the finish, as a share of the remaining time
+    startUncertainty: 0.15,
+    finishUncertainty: 0.03
+};
+
+/**
+ * Pace over the most recent window of accepted pings
+ * @param {string} activityId - Activity ID
+ * @param {Object} latestPing - Most recent accepted LocationPing
+ * @param {number} windowSec - Window length in seconds
+ * @returns {Promise<number|undefined>} Pace in seconds per km
+ */
+async function getRollingPace(activityId, latestPing, windowSec = PREDICTION_CONFIG.rollingWindowSec) {
+    if (!latestPing || latestPing.distance === undefined) return undefined;
+
+    const windowStart = await LocationPing.findOne(
+        {
+            'meta.activityId': activityId,
+            'filter.rejected': { $ne: true },
+            ts: { $gte: new Date(latestPing.ts.getTime() - windowSec * 1000), $lt: latestPing.ts }
+        },
+        { ts: 1, distance: 1 },
+        { sort: { ts: 1 } }
+    );
+
+    if (!windowStart || windowStart.distance === undefined) return undefined;
+
+    const meters = latestPing.distance - windowStart.distance;
+    const seconds = (latestPing.ts - windowStart.ts) / 1000;
+
+    // Too little movement in the window to say anything about pace
+    if (meters < 100 || seconds <= 0) return undefined;
+
+    return calculatePace(seconds, meters);
+}
+
+/**
+ * Predict when the runner will finish
+ * @param {Object} input - Prediction inputs
+ * @param {number} input.eventDistanceMeters - Official event distance
+ * @param {number} input.distanceMeters - Distance covered so far
+ * @param {number} input.elapsedSec - Active race time so far
+ * @param {Date} input.startTime - Activity start time
+ * @param {number} [input.avgPaceSecPerKm] - Average pace so far
+ * @param {number} [input.rollingPaceSecPerKm] - Pace over the recent window
+ * @param {number} [input.targetPaceSecPerKm] - Pace the runner is aiming for
+ * @param {Date} [input.now] - Reference time for the remaining distance
+ * @param {Object} config - Prediction configuration
+ * @returns {Object|null} Prediction or null when there is not enough data
+ */
+function predictFinish(input, config = PREDICTION_CONFIG) {
+    const { eventDistanceMeters, distanceMeters = 0, elapsedSec = 0, startTime, avgPaceSecPerKm,
+        rollingPaceSecPerKm, targetPaceSecPerKm, now = new Date() } = input;
+
+    if (!eventDistanceMeters || eventDistanceMeters <= 0 || !startTime) return null;
+
+    const remainingMeters = Math.max(0, eventDistanceMeters - distanceMeters);
+    const progress = Math.min(1, distanceMeters / eventDistanceMeters);
+
+    // Blend the recent pace with the average, falling back to whichever exists
+    let observedPace;
+    if (rollingPaceSecPerKm && avgPaceSecPerKm) {
+        observedPace = config.rollingWeight * rollingPaceSecPerKm + (1 - config.rollingWeight) * avgPaceSecPerKm;
+    } else {
+        observedPace = rollingPaceSecPerKm || avgPaceSecPerKm;
+    }
+
+    // Lean on the target pace early on and let observed pace take over by halfway
+    let pace = observedPace;
+    if (targetPaceSecPerKm) {
+        const targetWeight = observedPace ? Math.max(0, 1 - progress * 2) * 0.5 : 1;
+        pace = targetWeight * targetPaceSecPerKm + (1 - targetWeight) * (observedPace || targetPaceSecPerKm);
+    }
+
+    if (!pace) return null;
+
+    const remainingSec = (remainingMeters / 1000) * pace;
+    const paceSpread = rollingPaceSecPerKm && avgPaceSecPerKm ? Math.abs(rollingPaceSecPerKm - avgPaceSecPerKm) : 0;
+    const uncertainty = config.finishUncertainty + (config.startUncertainty - config.finishUncertainty) * (1 - progress);
+    const marginSec = remainingSec * uncertainty + (remainingMeters / 1000) * paceSpread / 2;
+
+    const { estimatedFinishTime } = estimateFinishTime(pace, remainingMeters, startTime, now);
+    const earliestRemainingSec = Math.max(0, remainingSec - marginSec);
+
+    const predictedFinishSec = Math.round(elapsedSec + remainingSec);
+    const earliestFinishSec = Math.round(elapsedSec + earliestRemainingSec);
+    const latestFinishSec = Math.round(elapsedSec + remainingSec + marginSec);
+
+    return {
+        remainingMeters: Math.round(remainingMeters),
+        paceSecPerKm: Math.round(pace),
+        rollingPaceSecPerKm: rollingPaceSecPerKm ? Math.round(rollingPaceSecPerKm) : undefined,
+        targetPaceSecPerKm,
+        predictedFinishSec,
+        predictedFinishTime: formatTime(predictedFinishSec),
+        predictedFinishAt: estimatedFinishTime,
+        confidence: {
+            earliestFinishSec,
+            latestFinishSec,
+            earliestFinishAt: new Date(estimatedFinishTime.getTime() - (remainingSec - earliestRemainingSec) * 1000),
+            latestFinishAt: new Date(estimatedFinishTime.getTime() + marginSec * 1000),
+            marginSec: Math.round(marginSec)
+        }
+    };
+}
+
+/**
+ * Build the finish prediction for an activity from its running totals
+ * @param {Object} activity - Activity document
+ * @param {Object} stats - Latest Activity.stats (may be fresher than activity.stats)
+ * @param {Object|null} event - Event document
+ * @param {Object|null} latestPing - Most recent accepted LocationPing
+ * @returns {Promise<Object|null>} Prediction or null
+ */
+async function buildFinishPrediction(activity, stats, event, latestPing) {
+    if (!event || !event.distance || !activity.startedAt || activity.endedAt) return null;
+
+    const rollingPaceSecPerKm = await getRollingPace(activity._id, latestPing);
+
+    return predictFinish({
+        eventDistanceMeters: event.distance,
+        // Course position lines up with the official distance better than raw GPS
+        distanceMeters: stats.courseDistanceMeters !== undefined && stats.courseDistanceMeters !== null
+            ? stats.courseDistanceMeters
+            : (stats.distanceMeters || 0),
+        elapsedSec: stats.totalTimeSec || 0,
+        startTime: activity.startedAt,
+        avgPaceSecPerKm: stats.movingPaceSecPerKm || stats.avgPaceSecPerKm,
+        rollingPaceSecPerKm,
+        targetPaceSecPerKm: activity.settings && activity.settings.targetPaceSecPerKm,
+        now: latestPing ? latestPing.ts : new Date()
+    });
+}
+
+module.exports = {
+    PREDICTION_CONFIG,
+    getRollingPace,
+    predictFinish,
+    buildFinishPrediction
+};
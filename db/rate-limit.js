@@ -0,0 +1,81 @@
+// db/rate-limit.js - Token bucket limits on how fast cheers can be sent to one activity
+
+// Cheer rate limit configuration (override with environment variables)
+const RATE_LIMIT_CONFIG = {
+    // Cheers that can be sent back to back before the sustained rate applies
+    burst: Number(process.env.CHEER_RATE_BURST) || 5,
+    // Cheers per minute allowed after the burst is used up
+    perMinute: Number(process.env.CHEER_RATE_PER_MINUTE) || 2,
+    // How often buckets that have refilled completely are forgotten
+    pruneIntervalSec: 60
+};
+
+// Buckets keyed by `<kind>:<activityId>:<value>`, kept in memory for this process
+const buckets = new Map();
+let lastPruneAt = 0;
+
+// Top a bucket up for the time since it was last used
+function refill(bucket, now, config) {
+    const perMs = config.perMinute / 60000;
+    bucket.tokens = Math.min(config.burst, bucket.tokens + (now - bucket.updatedAt) * perMs);
+    bucket.updatedAt = now;
+}
+
+// Drop buckets that are full again, they behave the same as a new one
+function pruneBuckets(now, config) {
+    buckets.forEach((bucket, key) => {
+        refill(bucket, now, config);
+        if (bucket.tokens >= config.burst) buckets.delete(key);
+    });
+    lastPruneAt = now;
+}
+
+/**
+ * Take one cheer from the sender's and the address's allowance for an activity
+ *
+ * Nothing is taken unless both allow it, so a refused cheer doesn't eat into the
+ * allowance of whichever bucket still had room.
+ * @param {Object} source - { ip, sender, activityId }
+ * @param {number} now - Current time in milliseconds
+ * @param {Object} config - Rate limit configuration
+ * @returns {Object} { allowed, retryAfterSec, limitedBy } where limitedBy is 'ip' or 'sender'
+ */
+function takeCheerToken(source, now = Date.now(), config = RATE_LIMIT_CONFIG) {
+    if (now - lastPruneAt >= config.pruneIntervalSec * 1000) {
+        pruneBuckets(now, config);
+    }
+
+    const keys = [
+        { kind: 'ip', key: `ip:${source.activityId}:${source.ip}` },
+        { kind: 'sender', key: `sender:${source.activityId}:${String(source.sender).trim().toLowerCase()}` }
+    ];
+
+    const checked = keys.map(({ kind, key }) => {
+        const bucket = buckets.get(key) || { tokens: config.burst, updatedAt: now };
+        refill(bucket, now, config);
+        return { kind, key, bucket };
+    });
+
+    const empty = checked.filter(({ bucket }) => bucket.tokens < 1);
+    if (empty.length > 0) {
+        // Wait for the bucket that takes longest to earn a whole cheer back
+        const waits = empty.map(({ kind, bucket }) => ({
+            kind,
+            sec: Math.ceil((1 - bucket.tokens) / (config.perMinute / 60))
+        }));
+        const longest = waits.reduce((a, b) => (b.sec > a.sec ? b : a));
+        return { allowed: false, retryAfterSec: Math.max(1, longest.sec), limitedBy: longest.kind };
+    }
+
+    checked.forEach(({ key, bucket }) => {
+        bucket.tokens -= 1;
+        buckets.set(key, bucket);
+    });
+
+    return { allowed: true, retryAfterSec: 0, limitedBy: null };
+}
+
+module.exports = {
+    RATE_LIMIT_CONFIG,
+    takeCheerToken
+};
@@ -0,0 +1,191 @@
+// db/storage.js - Per-minute rollups of location pings and retention of raw points
+const { Activity, LocationPing, LocationRollup } = require('./models');
+
+// Storage configuration (override with environment variables)
+const STORAGE_CONFIG = {
+    // Raw pings of finished activities are deleted this long after the finish, once rolled up
+    rawRetentionDays: Number(process.env.PING_RETENTION_DAYS) || 30,
+    // How often ended activities are rolled up and expired
+    maintenanceIntervalSec: Number(process.env.STORAGE_MAINTENANCE_INTERVAL_SEC) || 3600,
+    // Activities handled per maintenance run, so one run stays short
+    batchSize: 20
+};
+
+// Statuses whose pings will not change any more
+const ENDED_STATUSES = ['finished', 'cancelled'];
+
+const MINUTE_MS = 60 * 1000;
+
+// Readings of 0 or missing mean the sensor didn't report
+function isReading(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+// Average and peak of a set of readings, undefined without any
+function summarize(values) {
+    return values.length > 0
+        ? { avg: Math.round(values.reduce((a, b) => a + b, 0) / values.length), max: Math.max(...values) }
+        : undefined;
+}
+
+/**
+ * Summarize pings into one rollup per minute
+ * @param {Object} activity - Activity document the pings belong to
+ * @param {Array<Object>} pings - LocationPing documents in time order
+ * @returns {Array<Object>} LocationRollup documents in time order
+ */
+function buildRollups(activity, pings) {
+    const minutes = new Map();
+    pings.forEach(ping => {
+        const minute = Math.floor(ping.ts.getTime() / MINUTE_MS) * MINUTE_MS;
+        if (!minutes.has(minute)) minutes.set(minute, []);
+        minutes.get(minute).push(ping);
+    });
+
+    return [...minutes.entries()].map(([minute, group]) => {
+        const accepted = group.filter(ping => !(ping.filter && ping.filter.rejected));
+        const first = accepted[0];
+        const last = accepted[accepted.length - 1];
+        const matched = accepted.filter(ping => ping.course && ping.course.matched);
+        const lastMatched = matched[matched.length - 1];
+        const speeds = accepted.map(ping => ping.speedMps).filter(speed => typeof speed === 'number' && speed >= 0);
+        const withBattery = group.filter(ping => typeof ping.battery === 'number');
+
+        const rollup = {
+            meta: { activityId: activity._id, runnerId: activity.runnerId },
+            minute: new Date(minute),
+            pings: group.length,
+            accepted: accepted.length,
+            firstTs: group[0].ts,
+            lastTs: group[group.length - 1].ts,
+            heartRate: summarize(accepted.map(ping => ping.heartRate).filter(isReading)),
+            cadence: summarize(accepted.map(ping => ping.cadence).filter(isReading)),
+            battery: withBattery.length > 0 ? withBattery[withBattery.length - 1].battery : undefined
+        };
+
+        if (last) {
+            rollup.startDistance = first.distance || 0;
+            rollup.endDistance = last.distance || 0;
+            rollup.loc = {
+                type: 'Point',
+                coordinates: last.course && last.course.matched ? last.course.coordinates : last.loc.coordinates
+            };
+            rollup.elevM = last.elevSmoothedM !== undefined ? last.elevSmoothedM : last.elevM;
+        }
+        if (lastMatched) {
+            rollup.courseDistance = lastMatched.course.distance;
+        }
+        if (speeds.length > 0) {
+            rollup.avgSpeedMps = Math.round(speeds.reduce((a, b) => a + b, 0) / speeds.length * 100) / 100;
+            rollup.maxSpeedMps = Math.max(...speeds);
+        }
+
+        return rollup;
+    });
+}
+
+/**
+ * Write (or rewrite) the per-minute rollups for an activity
+ * @param {Object} activity - Activity document
+ * @returns {Promise<number>} Number of rollups written
+ */
+async function rollUpActivity(activity) {
+    const pings = await LocationPing.find(
+        { 'meta.activityId': activity._id, 'meta.runnerId': activity.runnerId },
+        {},
+        { sort: { ts: 1 } }
+    ).lean();
+
+    const rollups = buildRollups(activity, pings);
+    if (rollups.length > 0) {
+        await LocationRollup.bulkWrite(rollups.map(rollup => ({
+            replaceOne: {
+                filter: { 'meta.activityId': rollup.meta.activityId, minute: rollup.minute },
+                replacement: rollup,
+                upsert: true
+            }
+        })));
+    }
+
+    await Activity.updateOne({ _id: activity._id }, { $set: { 'storage.rolledUpAt': new Date() } });
+    return rollups.length;
+}
+
+/**
+ * Delete an activity's raw pings, leaving only its rollups
+ * @param {Object} activity - Activity document (must already be rolled up)
+ * @returns {Promise<number>} Number of pings deleted
+ */
+async function expireRawPings(activity) {
+    // Filters on the metaField alone, so this works on MongoDB 6 time-series collections too (deleting by _id needs 7.0)
+    const result = await LocationPing.deleteMany({
+        'meta.activityId': activity._id,
+        'meta.runnerId': activity.runnerId
+    });
+
+    await Activity.updateOne({ _id: activity._id }, { $set: { 'storage.rawExpiredAt': new Date() } });
+    return result.deletedCount || 0;
+}
+
+/**
+ * Roll up newly ended activities and expire raw pings past the retention window
+ * @param {Date} now - Current time
+ * @param {Object} config - Storage configuration
+ * @returns {Promise<Object>} { rolledUp, expired, deletedPings }
+ */
+async function runStorageMaintenance(now = new Date(), config = STORAGE_CONFIG) {
+    const toRollUp = await Activity.find(
+        { status: { $in: ENDED_STATUSES }, 'storage.rolledUpAt': null },
+        { runnerId: 1 }
+    ).limit(config.batchSize);
+
+    for (const activity of toRollUp) {
+        await rollUpActivity(activity);
+    }
+
+    const cutoff = new Date(now.getTime() - config.rawRetentionDays * 24 * 60 * 60 * 1000);
+    const toExpire = await Activity.find(
+        {
+            status: { $in: ENDED_STATUSES },
+            endedAt: { $lt: cutoff },
+            'storage.rolledUpAt': { $ne: null },
+            'storage.rawExpiredAt': null
+        },
+        { runnerId: 1 }
+    ).limit(config.batchSize);
+
+    let deletedPings = 0;
+    for (const activity of toExpire) {
+        deletedPings += await expireRawPings(activity);
+    }
+
+    return { rolledUp: toRollUp.length, expired: toExpire.length, deletedPings };
+}
+
+/**
+ * Track points from an activity's rollups, for activities whose raw pings expired
+ * @param {string} activityId - Activity ID
+ * @param {string} runnerId - Runner ID
+ * @returns {Promise<Array<Object>>} [{ lat, lng, ts, distance }] one per minute
+ */
+async function getRollupTrack(activityId, runnerId) {
+    const rollups = await LocationRollup.find(
+        { 'meta.activityId': activityId, 'meta.runnerId': runnerId, 'loc.coordinates.1': { $exists: true } },
+        { loc: 1, lastTs: 1, endDistance: 1 },
+        { sort: { minute: 1 } }
+    ).lean();
+
+    return rollups.map(rollup => {
+        const [lng, lat] = rollup.loc.coordinates;
+        return { lat, lng, ts: rollup.lastTs, distance: rollup.endDistance || 0 };
+    });
+}
+
+module.exports = {
+    STORAGE_CONFIG,
+    buildRollups,
+    rollUpActivity,
+    expireRawPings,
+    runStorageMaintenance,
+    getRollupTrack
+};
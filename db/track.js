@@ -0,0 +1,139 @@
+// db/track.js - Track history with simplification and polyline encoding
+const { LocationPing } = require('./models');
+
+// Track endpoint configuration
+const TRACK_CONFIG = {
+    defaultMaxPoints: 1000,
+    maxPoints: 5000
+};
+
+// Meters per degree of latitude, matching the Earth radius in calculateDistance
+const METERS_PER_DEGREE = 6371000 * Math.PI / 180;
+
+/**
+ * Load an activity's accepted fixes in time order
+ * @param {string} activityId - Activity ID
+ * @param {string} runnerId - Runner ID
+ * @returns {Promise<Array<Object>>} [{ lat, lng, ts, distance }] using course-snapped positions where matched
+ */
+async function getActivityTrack(activityId, runnerId) {
+    const pings = await LocationPing.find(
+        { 'meta.activityId': activityId, 'meta.runnerId': runnerId, 'filter.rejected': { $ne: true } },
+        { ts: 1, loc: 1, distance: 1, course: 1 },
+        { sort: { ts: 1 } }
+    ).lean();
+
+    return pings.map(ping => {
+        const snapped = ping.course && ping.course.matched;
+        const [lng, lat] = snapped ? ping.course.coordinates : ping.loc.coordinates;
+        return { lat, lng, ts: ping.ts, distance: ping.distance || 0 };
+    });
+}
+
+/**
+ * Perpendicular distance from a point to the line through two others, in meters
+ * @param {Object} p - Point ({ lat, lng })
+ * @param {Object} a - Line start
+ * @param {Object} b - Line end
+ * @returns {number} Distance in meters
+ */
+function perpendicularDistance(p, a, b) {
+    const cosLat = Math.cos(a.lat * Math.PI / 180);
+    const bx = (b.lng - a.lng) * cosLat;
+    const by = b.lat - a.lat;
+    const px = (p.lng - a.lng) * cosLat;
+    const py = p.lat - a.lat;
+
+    const lengthSq = bx * bx + by * by;
+    if (lengthSq === 0) {
+        return Math.hypot(px, py) * METERS_PER_DEGREE;
+    }
+
+    const t = Math.min(1, Math.max(0, (px * bx + py * by) / lengthSq));
+    return Math.hypot(px - t * bx, py - t * by) * METERS_PER_DEGREE;
+}
+
+/**
+ * Simplify a track to a point budget with Douglas-Peucker
+ *
+ * Every point gets the deviation at which Douglas-Peucker would keep it, so the
+ * most significant maxPoints can be picked without guessing a tolerance.
+ * @param {Array<Object>} points - Track points in order ({ lat, lng, ... })
+ * @param {number} maxPoints - Maximum points to return (at least 2)
+ * @returns {Array<Object>} Simplified track, always keeping the first and last points
+ */
+function simplifyTrack(points, maxPoints) {
+    if (points.length <= maxPoints) return points;
+
+    const importance = new Array(points.length).fill(0);
+    importance[0] = Infinity;
+    importance[points.length - 1] = Infinity;
+
+    // Iterative to stay clear of the call stack on long tracks
+    const stack = [[0, points.length - 1, Infinity]];
+    while (stack.length > 0) {
+        const [first, last, parentImportance] = stack.pop();
+        if (last - first < 2) continue;
+
+        let maxDistance = -1;
+        let index = first + 1;
+        for (let i = first + 1; i < last; i++) {
+            const distance = perpendicularDistance(points[i], points[first], points[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+
+        // A point is never more important than the split that made it a candidate
+        importance[index] = Math.min(maxDistance, parentImportance);
+        stack.push([first, index, importance[index]], [index, last, importance[index]]);
+    }
+
+    return importance
+        .map((value, index) => ({ value, index }))
+        .sort((a, b) => b.value - a.value)
+        .slice(0, maxPoints)
+        .sort((a, b) => a.index - b.index)
+        .map(({ index }) => points[index]);
+}
+
+/**
+ * Encode points with the Google encoded polyline algorithm
+ * @param {Array<Object>} points - Points ({ lat, lng })
+ * @param {number} precision - Decimal places kept (5 is the standard)
+ * @returns {string} Encoded polyline
+ */
+function encodePolyline(points, precision = 5) {
+    const factor = Math.pow(10, precision);
+    let lastLat = 0;
+    let lastLng = 0;
+    let encoded = '';
+
+    const encodeValue = value => {
+        let v = value < 0 ? ~(value << 1) : value << 1;
+        let chunk = '';
+        while (v >= 0x20) {
+            chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+            v >>= 5;
+        }
+        return chunk + String.fromCharCode(v + 63);
+    };
+
+    points.forEach(point => {
+        const lat = Math.round(point.lat * factor);
+        const lng = Math.round(point.lng * factor);
+        encoded += encodeValue(lat - lastLat) + encodeValue(lng - lastLng);
+        lastLat = lat;
+        lastLng = lng;
+    });
+
+    return encoded;
+}
+
+module.exports = {
+    TRACK_CONFIG,
+    getActivityTrack,
+    simplifyTrack,
+    encodePolyline
+};
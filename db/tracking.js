@@ -0,0 +1,809 @@
+// db/tracking.js - Location ingestion pipeline shared by the location endpoints
+const { Activity, LocationPing } = require('./models');
+const { calculatePace, getActivityElapsedSec } = require('./utils');
+const { FILTER_CONFIG, createFilterState, applyGpsFilter } = require('./gps-filter');
+const { getEventCourse, matchToCourse } = require('./course');
+const { CHECKPOINT_CONFIG, createCheckpointState, detectCheckpointPassages } = require('./checkpoints');
+const { getEventGeofence, checkGeofence } = require('./geofence');
+const { createElevationState, updateElevation, getElevationTotals } = require('./elevation');
+const { clearSignalLost } = require('./watchdog');
+
+// Maximum number of pings accepted in one batch upload
+const MAX_BATCH_SIZE = 500;
+
+// How far in the future a device timestamp may be before it is rejected
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Longest client ping ID accepted for de-duplicating retries
+const MAX_CLIENT_ID_LENGTH = 64;
+
+// Split lengths in meters
+const SPLIT_UNITS = {
+    km: 1000,
+    mile: 1609.344
+};
+
+// Auto-pause configuration (override with environment variables)
+const AUTO_PAUSE_CONFIG = {
+    // Below a slow walk - aid stations, toilets and traffic lights
+    speedMps: Number(process.env.AUTO_PAUSE_SPEED_MPS) || 0.8
+};
+
+/**
+ * Parse a location payload from the mobile app into a ping
+ * @param {Object} body - Raw ping ({ lat, lng, timestamp, accuracy, altitude, ... }) with an optional
+ *   client-generated `pingId` or device sequence number `seq` so retried uploads aren't stored twice
+ * @param {Date} now - Server receive time, used when no device timestamp is sent
+ * @returns {Object} { ping } on success or { error } describing the problem
+ */
+function parseLocationPing(body, now = new Date()) {
+    if (!body || typeof body !== 'object') {
+        return { error: 'Location must be an object' };
+    }
+
+    const lat = Number(body.lat);
+    const lng = Number(body.lng);
+
+    if (body.lat === undefined || body.lng === undefined || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+        return { error: 'Latitude and longitude are required' };
+    }
+
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return { error: 'Latitude or longitude out of range' };
+    }
+
+    let ts = now;
+    if (body.timestamp !== undefined && body.timestamp !== null) {
+        ts = new Date(body.timestamp);
+        if (isNaN(ts.getTime())) {
+            return { error: 'Invalid timestamp' };
+        }
+        if (ts - now > MAX_CLOCK_SKEW_MS) {
+            return { error: 'Timestamp is in the future' };
+        }
+    }
+
+    let clientId;
+    if (body.pingId !== undefined && body.pingId !== null) {
+        if (!['string', 'number'].includes(typeof body.pingId) || String(body.pingId).length === 0 ||
+            String(body.pingId).length > MAX_CLIENT_ID_LENGTH) {
+            return { error: `pingId must be a string of 1-${MAX_CLIENT_ID_LENGTH} characters` };
+        }
+        clientId = String(body.pingId);
+    } else if (body.seq !== undefined && body.seq !== null) {
+        if (!Number.isInteger(body.seq) || body.seq < 0) {
+            return { error: 'seq must be a non-negative integer' };
+        }
+        clientId = `seq:${body.seq}`;
+    }
+
+    return {
+        ping: {
+            lat,
+            lng,
+            ts,
+            clientId,
+            accuracy: body.accuracy || 10,
+            elevM: body.altitude,
+            speedMps: body.speed,
+            heading: body.heading,
+            battery: body.battery,
+            heartRate: body.heartRate,
+            cadence: body.cadence
+        }
+    };
+}
+
+// Pending ingestion per activity, so overlapping uploads from one phone run one at a time
+const ingestQueues = new Map();
+
+/**
+ * Run a task after any ingestion already in progress for the same activity
+ * @param {string} activityId - Activity ID
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} Result of the task
+ */
+function withActivityLock(activityId, task) {
+    const previous = ingestQueues.get(activityId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+    ingestQueues.set(activityId, run);
+
+    const cleanup = () => {
+        if (ingestQueues.get(activityId) === run) {
+            ingestQueues.delete(activityId);
+        }
+    };
+    run.then(cleanup, cleanup);
+
+    return run;
+}
+
+/**
+ * Store pings for an activity in timestamp order and update its running totals
+ *
+ * Pings whose client ID was already stored are dropped, and pings older than the
+ * latest stored fix trigger a rebuild of the track in timestamp order.
+ * @param {Object} activity - Activity document the pings belong to
+ * @param {Array<Object>} pings - Parsed pings from parseLocationPing
+ * @param {Object|null} event - Event document, for matching pings onto its course
+ * @returns {Promise<Object>} { saved, accepted, rejected, duplicates, reordered, distanceMeters, courseDistanceMeters,
+ *   latest, stats, splits, checkpoints, geofence, signal }
+ */
+function ingestLocationPings(activity, pings, event = null) {
+    return withActivityLock(activity._id, () => receiveLocationPings(activity, pings, event));
+}
+
+async function receiveLocationPings(activity, pings, event) {
+    const fresh = await dropDuplicatePings(activity, pings);
+    const duplicates = pings.length - fresh.length;
+
+    if (duplicates > 0) {
+        console.log(`♻️ Ignored ${duplicates} already received pings for ${activity._id}`);
+    }
+
+    if (fresh.length === 0) {
+        return { ...(await describeUnchangedActivity(activity)), duplicates, reordered: false };
+    }
+
+    const latestStored = await LocationPing.findOne(
+        { 'meta.activityId': activity._id, 'meta.runnerId': activity.runnerId, 'filter.rejected': { $ne: true } },
+        { ts: 1 },
+        { sort: { ts: -1 } }
+    );
+    const arrivedLate = latestStored && fresh.some(ping => ping.ts < latestStored.ts);
+
+    const result = arrivedLate
+        ? await rebuildLocationPings(activity, fresh, event)
+        : await storeLocationPings(activity, fresh, event);
+
+    return { ...result, duplicates, reordered: Boolean(arrivedLate) };
+}
+
+/**
+ * Drop pings whose client ID is already stored or repeated within the upload
+ * @param {Object} activity - Activity document
+ * @param {Array<Object>} pings - Parsed pings
+ * @returns {Promise<Array<Object>>} Pings not seen before (pings without an ID are always kept)
+ */
+async function dropDuplicatePings(activity, pings) {
+    const clientIds = [...new Set(pings.map(ping => ping.clientId).filter(Boolean))];
+    const stored = clientIds.length > 0
+        ? await LocationPing.find(
+            { 'meta.activityId': activity._id, 'meta.runnerId': activity.runnerId, clientId: { $in: clientIds } },
+            { clientId: 1 }
+        ).lean()
+        : [];
+
+    const seen = new Set(stored.map(ping => ping.clientId));
+    return pings.filter(ping => {
+        if (!ping.clientId) return true;
+        if (seen.has(ping.clientId)) return false;
+        seen.add(ping.clientId);
+        return true;
+    });
+}
+
+/**
+ * Ingestion result for an upload that added nothing (every ping was a retry)
+ * @param {Object} activity - Activity document
+ * @returns {Promise<Object>} Result shaped like storeLocationPings with empty ping lists
+ */
+async function describeUnchangedActivity(activity) {
+    const current = await Activity.findById(activity._id).select('stats');
+    const stats = (current && current.stats) || activity.stats;
+    const hasCourseDistance = stats.courseDistanceMeters !== undefined && stats.courseDistanceMeters !== null;
+
+    return {
+        saved: [],
+        accepted: [],
+        rejected: [],
+        distanceMeters: stats.distanceMeters || 0,
+        courseDistanceMeters: hasCourseDistance ? stats.courseDistanceMeters : null,
+        latest: null,
+        stats,
+        splits: {},
+        checkpoints: [],
+        geofence: { changed: false, offCourse: Boolean(stats.offCourse), since: stats.offCourseSince, reason: stats.offCourseReason },
+        signal: { restored: false, lostAt: null }
+    };
+}
+
+/**
+ * Turn a stored LocationPing back into the parsed ping it was created from
+ * @param {Object} doc - LocationPing document (lean)
+ * @returns {Object} Ping as returned by parseLocationPing
+ */
+function storedPingToPing(doc) {
+    // Smoothed fixes keep the phone's own position in filter.rawCoordinates
+    const raw = doc.filter && doc.filter.rawCoordinates;
+    const [lng, lat] = raw && raw.length === 2 ? raw : doc.loc.coordinates;
+
+    return {
+        lat,
+        lng,
+        ts: doc.ts,
+        clientId: doc.clientId,
+        accuracy: doc.accuracy,
+        elevM: doc.elevM,
+        speedMps: doc.speedMps,
+        heading: doc.heading,
+        battery: doc.battery,
+        heartRate: doc.heartRate,
+        cadence: doc.cadence
+    };
+}
+
+// Same fix stored twice - left behind when a rebuild stopped between its insert and delete
+function pingKey(ping) {
+    return ping.clientId || `${ping.ts.getTime()}:${ping.lat}:${ping.lng}`;
+}
+
+// Server major version, looked up once per process
+let serverMajorVersion = null;
+
+/**
+ * Make sure the server can delete single pings from the time-series collection
+ *
+ * Before MongoDB 7.0 time-series deletes may only filter on the metaField, so a
+ * rebuild would insert its replacements and then fail on the delete.
+ * @returns {Promise<void>} Rejects with a readable error on older servers
+ */
+async function assertTimeSeriesDeletes() {
+    if (serverMajorVersion === null) {
+        const info = await LocationPing.db.db.admin().buildInfo();
+        serverMajorVersion = Number(String(info.version).split('.')[0]);
+    }
+
+    if (serverMajorVersion < 7) {
+        throw new Error(`Reordering late location pings needs MongoDB 7.0 or newer (server is ${serverMajorVersion}.x)`);
+    }
+}
+
+/**
+ * State to resume processing from just before a point in time
+ * @param {Object} activity - Activity document
+ * @param {Date} from - Time of the earliest late ping
+ * @returns {Promise<Object>} { anchor, jumpStreak, stats, splits, checkpoints, rejectedBefore, since } where
+ *   pings from `since` onward have to be re-run (since is null when the whole track does)
+ */
+async function getResumeState(activity, from) {
+    const query = { 'meta.activityId': activity._id, 'meta.runnerId': activity.runnerId };
+    const anchor = await LocationPing.findOne(
+        { ...query, ts: { $lt: from }, 'filter.rejected': { $ne: true } },
+        {},
+        { sort: { ts: -1 } }
+    ).lean();
+
+    // Pings stored before resume snapshots existed can only be re-run from the start
+    if (!anchor || !anchor.resume) {
+        return { anchor: null, jumpStreak: 0, stats: {}, splits: { km: [], mile: [] }, checkpoints: [], rejectedBefore: 0, since: null };
+    }
+
+    const before = await Activity.findById(activity._id).select('splits checkpoints');
+    const keptUntil = anchor.ts.getTime();
+    const splits = {};
+    Object.keys(SPLIT_UNITS).forEach(unit => {
+        splits[unit] = ((before && before.splits && before.splits[unit]) || [])
+            .filter(split => split.at.getTime() <= keptUntil)
+            .map(split => split.toObject());
+    });
+
+    const [jumpStreak, rejectedBefore] = await Promise.all([
+        LocationPing.countDocuments({ ...query, ts: { $gt: anchor.ts, $lt: from }, 'filter.reason': 'impossible_jump' }),
+        LocationPing.countDocuments({ ...query, ts: { $lt: from }, 'filter.rejected': true })
+    ]);
+
+    return {
+        anchor,
+        jumpStreak,
+        stats: {
+            ...anchor.resume,
+            autoPaused: Boolean(anchor.resume.autoPausedAt),
+            offCourse: Boolean(anchor.resume.offCourseSince)
+        },
+        splits,
+        checkpoints: ((before && before.checkpoints) || [])
+            .filter(passage => passage.at.getTime() <= keptUntil)
+            .map(passage => passage.toObject()),
+        rejectedBefore,
+        since: from
+    };
+}
+
+/**
+ * Re-run the track from the earliest late ping when pings arrive older than ones already
+ * stored, so distance, splits and checkpoints follow the order the runner actually ran in
+ *
+ * Processing resumes from the totals saved on the last accepted fix before the late ping,
+ * so only the pings after it are recomputed. Their replacements are inserted before the old
+ * documents are deleted: an interruption leaves duplicates, which the next rebuild drops,
+ * rather than losing pings.
+ * @param {Object} activity - Activity document
+ * @param {Array<Object>} pings - New parsed pings
+ * @param {Object|null} event - Event document
+ * @returns {Promise<Object>} Result of storeLocationPings, limited to what this upload added
+ */
+async function rebuildLocationPings(activity, pings, event) {
+    await assertTimeSeriesDeletes();
+
+    const from = new Date(Math.min(...pings.map(ping => ping.ts.getTime())));
+    const resume = await getResumeState(activity, from);
+
+    const query = { 'meta.activityId': activity._id, 'meta.runnerId': activity.runnerId };
+    const stored = await LocationPing.find(
+        resume.since ? { ...query, ts: { $gte: resume.since } } : query,
+        {},
+        { sort: { ts: 1 } }
+    ).lean();
+    const before = await Activity.findById(activity._id).select('stats splits checkpoints');
+
+    const announcedSplits = {};
+    Object.keys(SPLIT_UNITS).forEach(unit => {
+        const splits = (before && before.splits && before.splits[unit]) || [];
+        announcedSplits[unit] = splits.length > 0 ? splits[splits.length - 1].index : 0;
+    });
+    const announcedCheckpoints = new Set(((before && before.checkpoints) || []).map(p => p.checkpointId));
+    const wasOffCourse = Boolean(before && before.stats.offCourse);
+
+    console.log(`🔀 Re-running ${stored.length} pings for ${activity._id} after ${pings.length} arrived out of order`);
+
+    const seen = new Set();
+    const merged = [...stored.map(storedPingToPing), ...pings]
+        .sort((a, b) => a.ts - b.ts)
+        .filter(ping => {
+            const key = pingKey(ping);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+    const result = await storeLocationPings(activity, merged, event, {
+        ...resume,
+        replaceIds: stored.map(doc => doc._id)
+    });
+
+    // Only this upload is news - everything else was announced when it first arrived
+    const incoming = new Set(pings);
+    const saved = result.saved.filter((doc, i) => incoming.has(merged[i]));
+    const accepted = saved.filter(p => !p.filter.rejected);
+
+    const splits = {};
+    Object.entries(result.splits).forEach(([unit, unitSplits]) => {
+        splits[unit] = unitSplits.filter(split => split.index > announcedSplits[unit]);
+    });
+
+    return {
+        ...result,
+        saved,
+        accepted,
+        rejected: saved.filter(p => p.filter.rejected),
+        // The runner's current position, which a late fix doesn't change
+        latest: accepted.length > 0 ? result.latest : null,
+        splits,
+        checkpoints: result.checkpoints.filter(p => !announcedCheckpoints.has(p.checkpointId)),
+        geofence: { ...result.geofence, changed: result.geofence.offCourse !== wasOffCourse }
+    };
+}
+
+/**
+ * Run pings through the filter, course matching, splits and checkpoints, store them and update totals
+ * @param {Object} activity - Activity document
+ * @param {Array<Object>} pings - Parsed pings
+ * @param {Object|null} event - Event document
+ * @param {Object|null} resume - State from getResumeState plus the replaceIds of the stored pings being
+ *   re-run, or null to continue from the latest stored ping
+ * @returns {Promise<Object>} { saved, accepted, rejected, distanceMeters, courseDistanceMeters, latest, stats,
+ *   splits, checkpoints, geofence, signal }
+ */
+async function storeLocationPings(activity, pings, event, resume = null) {
+    const ordered = [...pings].sort((a, b) => a.ts - b.ts);
+
+    // Get the last accepted location to continue the distance calculation
+    const previousLocation = resume ? resume.anchor : await LocationPing.findOne(
+        { 'meta.activityId': activity._id, 'meta.runnerId': activity.runnerId, 'filter.rejected': { $ne: true } },
+        {},
+        { sort: { ts: -1 } }
+    );
+
+    const jumpStreak = resume ? resume.jumpStreak : previousLocation
+        ? await LocationPing.countDocuments({
+            'meta.activityId': activity._id,
+            'meta.runnerId': activity.runnerId,
+            ts: { $gt: previousLocation.ts },
+            'filter.reason': 'impossible_jump'
+        })
+        : 0;
+
+    // Re-read stats inside the lock so auto-pause state continues from the last upload
+    const current = resume || await Activity.findById(activity._id).select('stats splits checkpoints');
+    const currentStats = (current && current.stats) || activity.stats;
+    const currentSplits = (current && current.splits) || activity.splits || {};
+    const checkpointState = createCheckpointState(event, (current && current.checkpoints) || activity.checkpoints || []);
+    const newCheckpoints = [];
+
+    const filterState = createFilterState(previousLocation, jumpStreak);
+    let cumulativeDistance = previousLocation ? (previousLocation.distance || 0) : 0;
+    let maxSpeedMps = currentStats.maxSpeedMps || 0;
+    let movingTimeSec = currentStats.movingTimeSec || 0;
+    let autoPausedAt = currentStats.autoPaused ? currentStats.autoPausedAt : null;
+    let lastAcceptedTs = previousLocation ? previousLocation.ts : null;
+
+    const course = getEventCourse(event);
+    let courseDistance = currentStats.courseDistanceMeters !== undefined && currentStats.courseDistanceMeters !== null
+        ? currentStats.courseDistanceMeters
+        : null;
+    let lastMatchedTs = courseDistance !== null && previousLocation ? previousLocation.ts : null;
+
+    const geofence = getEventGeofence(event);
+    const wasOffCourse = Boolean(currentStats.offCourse);
+    let offCourseSince = wasOffCourse ? currentStats.offCourseSince : null;
+    let offCourseReason = wasOffCourse ? currentStats.offCourseReason : null;
+
+    const elevation = createElevationState(currentStats, previousLocation);
+
+    const lastSplits = {};
+    const newSplits = {};
+    Object.keys(SPLIT_UNITS).forEach(unit => {
+        const stored = currentSplits[unit] || [];
+        lastSplits[unit] = stored.length > 0 ? stored[stored.length - 1] : { index: 0, elapsedSec: 0 };
+        newSplits[unit] = [];
+    });
+
+    const docs = ordered.map(ping => {
+        const result = applyGpsFilter(filterState, ping);
+
+        const doc = {
+            meta: {
+                activityId: activity._id,
+                runnerId: activity.runnerId
+            },
+            ts: ping.ts,
+            clientId: ping.clientId,
+            loc: {
+                type: 'Point',
+                coordinates: [ping.lng, ping.lat] // MongoDB expects [lng, lat]
+            },
+            accuracy: ping.accuracy,
+            elevM: ping.elevM,
+            speedMps: ping.speedMps,
+            heading: ping.heading,
+            battery: ping.battery,
+            heartRate: ping.heartRate,
+            cadence: ping.cadence,
+            filter: {
+                rejected: !result.accepted,
+                reason: result.reason
+            }
+        };
+
+        if (!result.accepted) {
+            return doc;
+        }
+
+        const reportedSpeed = ping.speedMps >= 0 && ping.speedMps <= FILTER_CONFIG.maxSpeedMps ? ping.speedMps : undefined;
+        const stationary = isStationarySegment(result, reportedSpeed);
+
+        // Standing still only adds GPS jitter, so stationary segments count neither distance nor moving time
+        if (stationary) {
+            autoPausedAt = autoPausedAt || lastAcceptedTs;
+        } else {
+            const startTotals = getElevationTotals(elevation);
+            updateElevation(elevation, ping.elevM, result.segmentMeters);
+
+            const segment = {
+                startDistance: cumulativeDistance,
+                endDistance: cumulativeDistance + result.segmentMeters,
+                startTs: lastAcceptedTs,
+                endTs: ping.ts,
+                startTotals,
+                endTotals: getElevationTotals(elevation)
+            };
+            cumulativeDistance = segment.endDistance;
+            movingTimeSec += result.dtSec > 0 ? result.dtSec : 0;
+            autoPausedAt = null;
+
+            if (segment.startTs) {
+                collectSplits(activity, segment, lastSplits, newSplits);
+            }
+        }
+        lastAcceptedTs = ping.ts;
+
+        doc.distance = cumulativeDistance;
+        doc.moving = !stationary;
+        if (elevation.smoothedM !== null) {
+            doc.elevSmoothedM = Math.round(elevation.smoothedM * 10) / 10;
+            doc.gradePct = Math.round(elevation.grade * 1000) / 10;
+        }
+        doc.filter.variance = result.variance;
+        doc.filter.reanchored = result.reanchored;
+
+        if (result.lat !== ping.lat || result.lng !== ping.lng) {
+            doc.loc.coordinates = [result.lng, result.lat];
+            doc.filter.rawCoordinates = [ping.lng, ping.lat];
+        }
+
+        let courseMovement = null;
+        if (course) {
+            // Measured from the last match, so a stretch of unmatched fixes widens the search instead of stranding it
+            const sinceMatchSec = lastMatchedTs ? (ping.ts - lastMatchedTs) / 1000 : (result.dtSec || 0);
+            const match = matchToCourse(course, result.lat, result.lng, courseDistance,
+                sinceMatchSec * FILTER_CONFIG.maxSpeedMps);
+            doc.course = { matched: match.matched, offsetM: match.offsetM };
+
+            // Runners don't go backwards along the course - GPS wobble around a marker does
+            if (match.matched) {
+                const previousCourseDistance = courseDistance;
+                courseDistance = Math.max(courseDistance || 0, match.distance);
+                doc.course.distance = courseDistance;
+                doc.course.coordinates = [match.lng, match.lat];
+
+                // The first match also picks up a checkpoint the runner is standing on (the start line)
+                courseMovement = previousCourseDistance !== null
+                    ? { fromDistance: previousCourseDistance, toDistance: courseDistance, fromTs: lastMatchedTs }
+                    : { fromDistance: courseDistance - CHECKPOINT_CONFIG.radiusM, toDistance: courseDistance, fromTs: null };
+                lastMatchedTs = ping.ts;
+            }
+        }
+
+        if (geofence) {
+            const check = checkGeofence(geofence, result.lat, result.lng, doc.course);
+            doc.geofence = { inside: check.inside, reason: check.reason };
+            offCourseSince = check.inside ? null : (offCourseSince || ping.ts);
+            offCourseReason = check.inside ? null : check.reason;
+        }
+
+        newCheckpoints.push(...detectCheckpointPassages(activity, checkpointState, {
+            ts: ping.ts,
+            lat: result.lat,
+            lng: result.lng,
+            distanceMeters: cumulativeDistance,
+            course: courseMovement
+        }));
+
+        // Fall back to the speed implied by the segment when the phone doesn't report a usable one
+        const segmentSpeed = reportedSpeed !== undefined
+            ? reportedSpeed
+            : (result.dtSec > 0 ? result.segmentMeters / result.dtSec : 0);
+        maxSpeedMps = Math.max(maxSpeedMps, segmentSpeed || 0);
+
+        doc.resume = {
+            movingTimeSec,
+            autoPausedAt: autoPausedAt || undefined,
+            maxSpeedMps,
+            elevationGainM: elevation.gainM,
+            elevationLossM: elevation.lossM,
+            elevationAnchorM: elevation.anchorM !== null ? elevation.anchorM : undefined,
+            currentGradePct: elevation.grade * 100,
+            gradeAdjustedMeters: elevation.adjustedMeters,
+            courseDistanceMeters: courseDistance !== null ? courseDistance : undefined,
+            offCourseSince: offCourseSince || undefined,
+            offCourseReason: offCourseReason || undefined
+        };
+
+        return doc;
+    });
+
+    const saved = await LocationPing.insertMany(docs, { ordered: true });
+
+    // Replacements are in - only now drop the documents they replace
+    if (resume && resume.replaceIds.length > 0) {
+        await LocationPing.deleteMany({
+            'meta.activityId': activity._id,
+            'meta.runnerId': activity.runnerId,
+            _id: { $in: resume.replaceIds }
+        });
+    }
+
+    const accepted = saved.filter(p => !p.filter.rejected);
+    const rejected = saved.filter(p => p.filter.rejected);
+
+    if (rejected.length > 0) {
+        console.log(`🧹 Filtered ${rejected.length} GPS fixes for ${activity._id}: ${rejected.map(p => p.filter.reason).join(', ')}`);
+    }
+
+    // Any ping - even a filtered one - means the phone is back
+    const signalLostAt = await clearSignalLost(activity._id);
+
+    const stats = await updateActivityStats(activity, {
+        distanceMeters: cumulativeDistance,
+        lastPingAt: saved[saved.length - 1].ts,
+        maxSpeedMps,
+        rejectedPings: resume ? resume.rejectedBefore + rejected.length : rejected.length,
+        movingTimeSec: Math.round(movingTimeSec),
+        autoPausedAt,
+        elevation,
+        courseDistanceMeters: courseDistance,
+        offCourseSince,
+        offCourseReason,
+        splits: newSplits,
+        checkpoints: newCheckpoints,
+        replace: resume ? {
+            splits: Object.fromEntries(Object.keys(SPLIT_UNITS).map(unit =>
+                [unit, [...resume.splits[unit], ...newSplits[unit]]])),
+            checkpoints: [...resume.checkpoints, ...newCheckpoints]
+        } : null
+    });
+
+    return {
+        saved,
+        accepted,
+        rejected,
+        distanceMeters: cumulativeDistance,
+        courseDistanceMeters: courseDistance,
+        latest: accepted.length > 0 ? accepted[accepted.length - 1] : null,
+        stats,
+        splits: newSplits,
+        checkpoints: newCheckpoints,
+        // Only report leaving or re-entering the area, not every fix outside it
+        geofence: {
+            changed: Boolean(offCourseSince) !== wasOffCourse,
+            offCourse: Boolean(offCourseSince),
+            since: offCourseSince,
+            reason: offCourseReason
+        },
+        signal: {
+            restored: Boolean(signalLostAt),
+            lostAt: signalLostAt
+        }
+    };
+}
+
+/**
+ * Record a split for every km/mile boundary a segment crosses
+ * @param {Object} activity - Activity document, for elapsed time at the crossing
+ * @param {Object} segment - { startDistance, endDistance, startTs, endTs, startTotals, endTotals }
+ * @param {Object} lastSplits - Last split per unit (mutated)
+ * @param {Object} newSplits - Splits completed in this upload per unit (mutated)
+ */
+function collectSplits(activity, segment, lastSplits, newSplits) {
+    const segmentMeters = segment.endDistance - segment.startDistance;
+    if (segmentMeters <= 0) return;
+
+    Object.entries(SPLIT_UNITS).forEach(([unit, unitMeters]) => {
+        while ((lastSplits[unit].index + 1) * unitMeters <= segment.endDistance) {
+            const index = lastSplits[unit].index + 1;
+            const boundary = index * unitMeters;
+
+            // Interpolate the crossing time between the two fixes
+            const fraction = (boundary - segment.startDistance) / segmentMeters;
+            const at = new Date(segment.startTs.getTime() + fraction * (segment.endTs - segment.startTs));
+            const elapsedSec = getActivityElapsedSec(activity, at);
+            const splitSec = elapsedSec - lastSplits[unit].elapsedSec;
+
+            // Elevation totals at the boundary, relative to the previous split
+            const total = key => segment.startTotals[key] + fraction * (segment.endTotals[key] - segment.startTotals[key]);
+            const previous = key => lastSplits[unit][key] || 0;
+            const totalGainM = total('gainM');
+            const totalLossM = total('lossM');
+            const totalAdjustedMeters = total('adjustedMeters');
+            const adjustedMeters = totalAdjustedMeters - previous('totalAdjustedMeters');
+
+            const split = {
+                index,
+                distanceMeters: Math.round(boundary),
+                at,
+                elapsedSec,
+                splitSec,
+                elevationGainM: Math.round((totalGainM - previous('totalGainM')) * 10) / 10,
+                elevationLossM: Math.round((totalLossM - previous('totalLossM')) * 10) / 10,
+                gradeAdjustedPaceSecPerKm: adjustedMeters > 0 ? Math.round(calculatePace(splitSec, adjustedMeters)) : undefined,
+                totalGainM,
+                totalLossM,
+                totalAdjustedMeters
+            };
+
+            newSplits[unit].push(split);
+            lastSplits[unit] = split;
+        }
+    });
+}
+
+/**
+ * Decide whether the runner stood still between two accepted fixes
+ * @param {Object} result - Accepted result from applyGpsFilter
+ * @param {number|undefined} reportedSpeed - Usable speed reported by the phone
+ * @param {Object} config - Auto-pause configuration
+ * @returns {boolean} True if the segment was stationary
+ */
+function isStationarySegment(result, reportedSpeed, config = AUTO_PAUSE_CONFIG) {
+    if (!(result.dtSec > 0) || result.reanchored) return false;
+
+    // Both the displacement and the phone's own speed have to agree
+    const impliedSpeed = result.segmentMeters / result.dtSec;
+    return impliedSpeed < config.speedMps &&
+        (reportedSpeed === undefined || reportedSpeed < config.speedMps);
+}
+
+/**
+ * Write the activity's running totals in a single update
+ * @param {Object} activity - Activity document
+ * @param {Object} totals - { distanceMeters, lastPingAt, maxSpeedMps, rejectedPings, movingTimeSec, autoPausedAt, elevation,
+ *   courseDistanceMeters, offCourseSince, offCourseReason, splits, checkpoints, replace } where replace holds
+ *   the full { splits, checkpoints } after a re-run, whose totals are then set rather than added to
+ * @returns {Promise<Object>} Updated stats
+ */
+async function updateActivityStats(activity, totals) {
+    const totalTimeSec = getActivityElapsedSec(activity, totals.lastPingAt);
+    const avgPaceSecPerKm = totals.distanceMeters > 0
+        ? Math.round(calculatePace(totalTimeSec, totals.distanceMeters))
+        : undefined;
+
+    const set = {
+        'stats.distanceMeters': totals.distanceMeters,
+        'stats.totalTimeSec': totalTimeSec,
+        'stats.movingTimeSec': totals.movingTimeSec,
+        'stats.autoPaused': Boolean(totals.autoPausedAt),
+        'stats.autoPausedAt': totals.autoPausedAt || null,
+        'stats.offCourse': Boolean(totals.offCourseSince),
+        'stats.offCourseSince': totals.offCourseSince || null,
+        'stats.offCourseReason': totals.offCourseReason || null,
+        updatedAt: new Date()
+    };
+    if (avgPaceSecPerKm !== undefined) {
+        set['stats.avgPaceSecPerKm'] = avgPaceSecPerKm;
+    }
+    if (totals.distanceMeters > 0 && totals.movingTimeSec > 0) {
+        set['stats.movingPaceSecPerKm'] = Math.round(calculatePace(totals.movingTimeSec, totals.distanceMeters));
+    }
+    if (totals.elevation) {
+        const { elevation } = totals;
+        set['stats.elevationGainM'] = Math.round(elevation.gainM * 10) / 10;
+        set['stats.elevationLossM'] = Math.round(elevation.lossM * 10) / 10;
+        set['stats.elevationAnchorM'] = elevation.anchorM;
+        set['stats.currentGradePct'] = Math.round(elevation.grade * 1000) / 10;
+        set['stats.gradeAdjustedMeters'] = elevation.adjustedMeters;
+        if (elevation.adjustedMeters > 0 && totals.movingTimeSec > 0) {
+            set['stats.gradeAdjustedPaceSecPerKm'] = Math.round(calculatePace(totals.movingTimeSec, elevation.adjustedMeters));
+        }
+    }
+    if (totals.courseDistanceMeters !== null && totals.courseDistanceMeters !== undefined) {
+        set['stats.courseDistanceMeters'] = totals.courseDistanceMeters;
+    } else if (totals.replace) {
+        set['stats.courseDistanceMeters'] = null;
+    }
+
+    // A re-run replaces the totals and lists from its resume point on rather than adding to them
+    const update = totals.replace
+        ? {
+            $set: {
+                ...set,
+                'stats.lastPingAt': totals.lastPingAt,
+                'stats.maxSpeedMps': totals.maxSpeedMps,
+                'stats.rejectedPings': totals.rejectedPings || 0,
+                'splits.km': totals.replace.splits.km,
+                'splits.mile': totals.replace.splits.mile,
+                checkpoints: totals.replace.checkpoints
+            }
+        }
+        : {
+            $set: set,
+            $max: {
+                'stats.lastPingAt': totals.lastPingAt,
+                'stats.maxSpeedMps': totals.maxSpeedMps
+            },
+            $inc: {
+                'stats.rejectedPings': totals.rejectedPings || 0
+            },
+            $push: {
+                'splits.km': { $each: (totals.splits && totals.splits.km) || [] },
+                'splits.mile': { $each: (totals.splits && totals.splits.mile) || [] },
+                checkpoints: { $each: totals.checkpoints || [] }
+            }
+        };
+
+    const updated = await Activity.findOneAndUpdate({ _id: activity._id }, update, { new: true });
+
+    return updated ? updated.stats : activity.stats;
+}
+
+module.exports = {
+    MAX_BATCH_SIZE,
+    MAX_CLOCK_SKEW_MS,
+    SPLIT_UNITS,
+    AUTO_PAUSE_CONFIG,
+    parseLocationPing,
+    isStationarySegment,
+    ingestLocationPings,
+    withActivityLock,
+    updateActivityStats
+};
@@ -41,6 +41,56 @@ function generateShareToken() {
     return `sh_${crypto.randomBytes(8).toString('hex')}`;
 }
 
+/**
+ * Generate the runner's private token with rt_ prefix (never part of the share link)
+ * @returns {string} Runner token in format rt_ followed by 32 hex characters
+ */
+function generateRunnerToken() {
+    return `rt_${crypto.randomBytes(16).toString('hex')}`;
+}
+
+/**
+ * Check whether an activity's share settings allow access
+ * @param {Object} share - Activity share settings ({ public, token, expiresAt })
+ * @param {string} token - Share token supplied by the client, if any
+ * @param {Date} now - Reference time for expiry
+ * @returns {Object} { allowed, error } with error describing why access was refused
+ */
+function checkShareAccess(share, token, now = new Date()) {
+    // The runner's own share token always works, even after the public link expires
+    if (share && token && token === share.token) {
+        return { allowed: true };
+    }
+
+    if (!share || !share.public) {
+        return { allowed: false, error: 'This activity is not shared publicly' };
+    }
+
+    if (share.expiresAt && share.expiresAt <= now) {
+        return { allowed: false, error: 'The share link for this activity has expired' };
+    }
+
+    return { allowed: true };
+}
+
+/**
+ * Check that a request comes from the runner, who alone holds the activity's runner token
+ * @param {string|undefined} runnerToken - Activity.runnerToken (selected explicitly, it is hidden by default)
+ * @param {string} token - Token supplied by the client, if any
+ * @returns {Object} { allowed, error } with error describing why access was refused
+ */
+function checkRunnerAccess(runnerToken, token) {
+    if (!token) {
+        return { allowed: false, error: 'The runner token is required' };
+    }
+
+    if (!runnerToken || token !== runnerToken) {
+        return { allowed: false, error: 'Invalid runner token' };
+    }
+
+    return { allowed: true };
+}
+
 /**
  * Generate runner ID and activity ID pair (legacy compatibility)
  * @returns {Object} Object with runnerId and activityId
@@ -73,6 +123,15 @@ function validateId(id, type = 'any') {
     return patterns[type] ? patterns[type].test(id) : false;
 }
 
+/**
+ * Validate a message (cheer) ID, which MongoDB generates rather than generateShortId
+ * @param {string} id - ID to validate
+ * @returns {boolean} True if it is a 24 character hex ObjectId
+ */
+function validateMessageId(id) {
+    return /^[a-f0-9]{24}$/i.test(String(id));
+}
+
 /**
  * Calculate distance between two GPS coordinates using Haversine formula
  * @param {number} lat1 - First latitude
@@ -128,10 +187,10 @@ function formatTime(totalSeconds) {
  * @param {number} currentPaceSeconds - Current pace in seconds per km
  * @param {number} remainingDistanceMeters - Remaining distance in meters
  * @param {Date} startTime - Race start time
+ * @param {Date} now - Reference time the remaining distance is measured from
  * @returns {Object} Estimated finish time and string
  */
-function estimateFinishTime(currentPaceSeconds, remainingDistanceMeters, startTime) {
-    const now = new Date();
+function estimateFinishTime(currentPaceSeconds, remainingDistanceMeters, startTime, now = new Date()) {
     const elapsedTime = (now - startTime) / 1000; // seconds
     const remainingDistanceKm = remainingDistanceMeters / 1000;
     const estimatedRemainingTime = remainingDistanceKm * currentPaceSeconds;
@@ -141,10 +200,32 @@ function estimateFinishTime(currentPaceSeconds, remainingDistanceMeters, startTi
     
     return {
         estimatedFinishTime,
-        estimatedFinishTimeString: formatTime(estimatedTotalTime)
+        estimatedFinishTimeString: formatTime(Math.round(estimatedTotalTime))
     };
 }
 
+/**
+ * Get the active (non-paused) time of an activity
+ * @param {Object} activity - Activity document
+ * @param {Date} now - Reference time for activities still in progress
+ * @returns {number} Active time in seconds
+ */
+function getActivityElapsedSec(activity, now = new Date()) {
+    if (!activity.startedAt) return 0;
+
+    if (activity.endedAt && activity.stats && activity.stats.totalTimeSec !== undefined) {
+        return activity.stats.totalTimeSec;
+    }
+
+    const end = activity.endedAt || now;
+    let pausedSec = (activity.stats && activity.stats.pausedTimeSec) || 0;
+    if (activity.status === 'paused' && activity.pausedAt) {
+        pausedSec += (end - activity.pausedAt) / 1000;
+    }
+
+    return Math.max(0, Math.floor((end - activity.startedAt) / 1000 - pausedSec));
+}
+
 /**
  * Sanitize user input to prevent XSS
  * @param {string} input - User input string
@@ -220,34 +301,52 @@ function kmToMeters(km) {
 
 /**
  * Get client IP address from request
+ *
+ * X-Forwarded-For is set by the client unless a proxy we trust overwrites it, so it is
+ * only used through `req.ip` when Express's `trust proxy` is configured (TRUST_PROXY).
  * @param {Object} req - Express request object
  * @returns {string} IP address
  */
 function getClientIP(req) {
-    return req.headers['x-forwarded-for'] || 
-           req.connection.remoteAddress || 
-           req.socket.remoteAddress ||
-           (req.connection.socket ? req.connection.socket.remoteAddress : null) ||
+    return req.ip ||
+           (req.socket ? req.socket.remoteAddress : null) ||
            '0.0.0.0';
 }
 
+/**
+ * Parse TRUST_PROXY into a value for Express's `trust proxy` setting
+ * @param {string|undefined} value - Hop count ("1"), "true", or addresses/subnets ("loopback, 10.0.0.0/8")
+ * @returns {number|boolean|string|undefined} Setting, undefined to leave proxies untrusted
+ */
+function parseTrustProxy(value) {
+    if (!value || value === 'false') return undefined;
+    if (value === 'true') return true;
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+
 module.exports = {
     generateShortId,
     generateUserId,
     generateEventId,
     generateActivityId,
     generateShareToken,
+    generateRunnerToken,
+    checkShareAccess,
+    checkRunnerAccess,
     generateRunnerAndActivityIds,
     validateId,
+    validateMessageId,
     calculateDistance,
     calculatePace,
     formatTime,
     estimateFinishTime,
+    getActivityElapsedSec,
     sanitizeInput,
     generateTrackingUrl,
     isLocationWithinBounds,
     getBerlinMarathonBounds,
     metersToKm,
     kmToMeters,
-    getClientIP
+    getClientIP,
+    parseTrustProxy
 };
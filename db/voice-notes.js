@@ -0,0 +1,141 @@
+// db/voice-notes.js - Store short recorded cheers on local disk
+const fs = require('fs');
+const path = require('path');
+
+// Voice note configuration (override with environment variables)
+const VOICE_NOTE_CONFIG = {
+    // Directory the audio files are written to
+    dir: process.env.CHEER_AUDIO_DIR || path.join(__dirname, '..', 'uploads', 'cheers'),
+    // Largest upload accepted - the only hard limit, as the length below is whatever the client says
+    maxBytes: Number(process.env.CHEER_AUDIO_MAX_BYTES) || 1024 * 1024,
+    // Longest recording accepted, as reported by the client (advisory - it isn't read from the audio)
+    maxDurationSec: Number(process.env.CHEER_AUDIO_MAX_SEC) || 30
+};
+
+// Accepted audio formats and the file extension each is stored under
+const AUDIO_TYPES = {
+    'audio/webm': 'webm',
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'aac',
+    'audio/wav': 'wav'
+};
+
+// Content type without parameters such as `;codecs=opus`, with aliases folded together
+function baseContentType(contentType) {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    return { 'audio/x-wav': 'audio/wav', 'audio/wave': 'audio/wav', 'audio/x-m4a': 'audio/mp4', 'audio/mp3': 'audio/mpeg' }[type] || type;
+}
+
+/**
+ * Recognise the audio format from the first bytes of a file
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {string|null} Content type, or null when it isn't a supported format
+ */
+function detectAudioType(buffer) {
+    if (buffer.length < 12) return null;
+
+    if (buffer.readUInt32BE(0) === 0x1A45DFA3) return 'audio/webm';
+    if (buffer.toString('ascii', 0, 4) === 'OggS') return 'audio/ogg';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') return 'audio/wav';
+    if (buffer.toString('ascii', 4, 8) === 'ftyp') return 'audio/mp4';
+    if (buffer.toString('ascii', 0, 3) === 'ID3' || (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0)) {
+        // MPEG frames with layer bits 00 are ADTS AAC rather than MP3
+        return (buffer[1] & 0x06) === 0 && buffer[0] === 0xFF ? 'audio/aac' : 'audio/mpeg';
+    }
+    return null;
+}
+
+/**
+ * Check an uploaded voice note against the size, duration and format limits
+ *
+ * The duration is taken from the client and only used to refuse recordings it admits
+ * are too long and to show the length; the byte limit is what actually bounds a recording.
+ * @param {Object} upload - { buffer, contentType, durationSec }
+ * @param {Object} config - Voice note configuration
+ * @returns {Object} { valid, error, contentType, durationSec }
+ */
+function validateVoiceNote(upload, config = VOICE_NOTE_CONFIG) {
+    const { buffer } = upload;
+
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+        return { valid: false, error: 'Audio file is required' };
+    }
+
+    if (buffer.length > config.maxBytes) {
+        return { valid: false, error: `Audio must be at most ${Math.round(config.maxBytes / 1024)} KB` };
+    }
+
+    const durationSec = Number(upload.durationSec);
+    if (!Number.isFinite(durationSec) || durationSec <= 0) {
+        return { valid: false, error: 'durationSec is required' };
+    }
+
+    if (durationSec > config.maxDurationSec) {
+        return { valid: false, error: `Voice cheers can be at most ${config.maxDurationSec} seconds long` };
+    }
+
+    const declared = baseContentType(upload.contentType);
+    if (!AUDIO_TYPES[declared]) {
+        return { valid: false, error: `Unsupported audio type. Supported: ${Object.keys(AUDIO_TYPES).join(', ')}` };
+    }
+
+    // Trust the bytes over the header, but reject files that aren't audio at all
+    const detected = detectAudioType(buffer);
+    if (!detected) {
+        return { valid: false, error: 'File is not a recognised audio format' };
+    }
+
+    return { valid: true, contentType: detected, durationSec: Math.round(durationSec * 10) / 10 };
+}
+
+/**
+ * Write a voice note to disk under the cheer's ID
+ * @param {string} cheerId - Cheer the recording belongs to
+ * @param {Buffer} buffer - Audio data
+ * @param {string} contentType - Content type from validateVoiceNote
+ * @param {Object} config - Voice note configuration
+ * @returns {Promise<string>} File name relative to the storage directory
+ */
+async function saveVoiceNote(cheerId, buffer, contentType, config = VOICE_NOTE_CONFIG) {
+    const file = `${cheerId}.${AUDIO_TYPES[contentType]}`;
+    await fs.promises.mkdir(config.dir, { recursive: true });
+    await fs.promises.writeFile(path.join(config.dir, file), buffer);
+    return file;
+}
+
+/**
+ * Absolute path of a stored voice note
+ * @param {string} file - File name from saveVoiceNote
+ * @param {Object} config - Voice note configuration
+ * @returns {string} Path on disk
+ */
+function getVoiceNotePath(file, config = VOICE_NOTE_CONFIG) {
+    // File names are generated here, but never let one climb out of the directory
+    return path.join(config.dir, path.basename(file));
+}
+
+/**
+ * Delete a stored voice note, ignoring files that are already gone
+ * @param {string} file - File name from saveVoiceNote
+ * @param {Object} config - Voice note configuration
+ * @returns {Promise<void>}
+ */
+async function deleteVoiceNote(file, config = VOICE_NOTE_CONFIG) {
+    try {
+        await fs.promises.unlink(getVoiceNotePath(file, config));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+}
+
+module.exports = {
+    VOICE_NOTE_CONFIG,
+    AUDIO_TYPES,
+    detectAudioType,
+    validateVoiceNote,
+    saveVoiceNote,
+    getVoiceNotePath,
+    deleteVoiceNote
+};
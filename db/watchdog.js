@@ -0,0 +1,126 @@
+// db/watchdog.js - Notice active runners whose phone has stopped sending locations
+const { Activity } = require('./models');
+
+// Watchdog configuration (override with environment variables)
+const WATCHDOG_CONFIG = {
+    // How often active activities are scanned
+    checkIntervalSec: Number(process.env.WATCHDOG_INTERVAL_SEC) || 30,
+    // Silence after which the signal counts as lost - keep it above the longest ping interval (60s)
+    signalLostAfterSec: Number(process.env.SIGNAL_LOST_AFTER_SEC) || 120,
+    // Silence after which the activity is finished automatically, 0 to never auto-finish
+    autoFinishAfterSec: Number(process.env.AUTO_FINISH_AFTER_SEC) || 0
+};
+
+/**
+ * When the activity last heard from the phone
+ * @param {Object} activity - Activity document
+ * @returns {Date|null} Last ping, or the start before any ping arrived
+ */
+function getLastHeardAt(activity) {
+    return (activity.stats && activity.stats.lastPingAt) || activity.startedAt || null;
+}
+
+/**
+ * Query for active activities that have been silent since before a cutoff
+ * @param {Date} cutoff - Latest acceptable last ping
+ * @returns {Object} Mongo filter
+ */
+function silentSinceQuery(cutoff) {
+    return {
+        status: 'active',
+        // Starting or resuming restarts the clock even though no ping has arrived yet
+        updatedAt: { $lt: cutoff },
+        $or: [
+            { 'stats.lastPingAt': { $lt: cutoff } },
+            { 'stats.lastPingAt': null, startedAt: { $lt: cutoff } }
+        ]
+    };
+}
+
+/**
+ * Signal state of an activity for snapshots
+ * @param {Object} activity - Activity document
+ * @param {Date} now - Current time
+ * @param {Object} config - Watchdog configuration
+ * @returns {Object} { stale, lost, lostAt, lastHeardAt, silentSec }
+ */
+function getSignalState(activity, now = new Date(), config = WATCHDOG_CONFIG) {
+    const lastHeardAt = getLastHeardAt(activity);
+    const silentSec = lastHeardAt ? Math.max(0, Math.round((now - lastHeardAt) / 1000)) : null;
+    const lost = activity.status === 'active' && Boolean(activity.stats && activity.stats.signalLost);
+    const quietSince = Math.max(lastHeardAt ? lastHeardAt.getTime() : 0, activity.updatedAt ? activity.updatedAt.getTime() : 0);
+
+    return {
+        // Between watchdog runs the age of the last ping is the better guide
+        stale: activity.status === 'active' && (lost ||
+            (quietSince > 0 && now - quietSince >= config.signalLostAfterSec * 1000)),
+        lost,
+        lostAt: lost ? activity.stats.signalLostAt : null,
+        lastHeardAt,
+        silentSec
+    };
+}
+
+/**
+ * Flag active activities that went quiet since the last scan
+ * @param {Date} now - Current time
+ * @param {Object} config - Watchdog configuration
+ * @returns {Promise<Array<Object>>} Activities newly marked as signal lost
+ */
+async function markSignalLost(now = new Date(), config = WATCHDOG_CONFIG) {
+    const cutoff = new Date(now.getTime() - config.signalLostAfterSec * 1000);
+    const candidates = await Activity.find(
+        { ...silentSinceQuery(cutoff), 'stats.signalLost': { $ne: true } },
+        { _id: 1 }
+    ).lean();
+
+    const lost = [];
+    for (const { _id } of candidates) {
+        // Re-check in the update so a ping arriving meanwhile wins
+        const activity = await Activity.findOneAndUpdate(
+            { _id, ...silentSinceQuery(cutoff), 'stats.signalLost': { $ne: true } },
+            { $set: { 'stats.signalLost': true, 'stats.signalLostAt': now } },
+            { new: true }
+        );
+        if (activity) {
+            lost.push(activity);
+        }
+    }
+    return lost;
+}
+
+/**
+ * Active activities silent for longer than the auto-finish timeout
+ * @param {Date} now - Current time
+ * @param {Object} config - Watchdog configuration
+ * @returns {Promise<Array<Object>>} Activity documents to finish, empty when auto-finish is off
+ */
+async function findAbandonedActivities(now = new Date(), config = WATCHDOG_CONFIG) {
+    if (!(config.autoFinishAfterSec > 0)) return [];
+
+    const cutoff = new Date(now.getTime() - config.autoFinishAfterSec * 1000);
+    return Activity.find(silentSinceQuery(cutoff));
+}
+
+/**
+ * Clear the signal lost flag once the phone is heard from again
+ * @param {string} activityId - Activity ID
+ * @returns {Promise<Date|null>} When the signal was marked lost, or null if it wasn't
+ */
+async function clearSignalLost(activityId) {
+    const previous = await Activity.findOneAndUpdate(
+        { _id: activityId, 'stats.signalLost': true },
+        { $set: { 'stats.signalLost': false, 'stats.signalLostAt': null } },
+        { new: false, projection: { 'stats.signalLostAt': 1 } }
+    );
+    return previous ? previous.stats.signalLostAt : null;
+}
+
+module.exports = {
+    WATCHDOG_CONFIG,
+    getLastHeardAt,
+    getSignalState,
+    markSignalLost,
+    findAbandonedActivities,
+    clearSignalLost
+};
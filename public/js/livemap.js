@@ -11,6 +11,7 @@ class LiveTracker {
         this.UPDATE_INTERVAL = 15000; // 15 seconds (delay)
         this.ANIMATION_DURATION = 10000; // 10 seconds (smooth movement)
         this.MESSAGE_CHECK_INTERVAL = 30000; // 30 seconds
+        this.MAX_VOICE_CHEER_SEC = 30; // matches the server's CHEER_AUDIO_MAX_SEC default
         
         // Load saved visitor name from localStorage
         this.loadSavedVisitorName();
@@ -19,8 +20,19 @@ class LiveTracker {
         this.map = null;
         this.runnerMarker = null;
         this.routePath = [];
+        this.splits = [];
+        this.checkpointMarkers = new Map();
+        this.replay = null;
         this.raceStartTime = null;
+        this.raceEndTime = null;
+        this.pausedAt = null;
+        this.pausedTimeSec = 0;
+        this.pauses = [];
+        this.activityStatus = 'planned';
+        this.signalLost = false;
+        this.voiceRecorder = null;
         this.isOnline = false;
+        this.raceTimer = null;
         this.updateTimer = null;
         this.messageTimer = null;
         this.socket = null;
@@ -29,7 +41,7 @@ class LiveTracker {
             pace: '0:00',
             heartRate: 0,
             currentTime: '00:00:00',
-            remaining: 42.2
+            remaining: null
         };
 
         this.init();
@@ -203,13 +215,63 @@ class LiveTracker {
             });
 
             // Listen for real-time updates
-            this.socket.on('location-update', (data) => {
+            this.socket.on('location-update', async (data) => {
                 console.log('📍 Real-time location update:', data);
+
+                if (data.reordered) {
+                    // Fixes arrived out of order and the server rebuilt the track - fetch it again
+                    await this.loadTrack();
+                    await this.loadSplits();
+                } else if (Array.isArray(data.points) && data.points.length > 1) {
+                    // Batched uploads carry the buffered trail; the last point is the current location
+                    data.points.slice(0, -1).forEach(point => this.routePath.push([point.lat, point.lng]));
+                }
+
                 this.updateRunnerLocation(data.location.lat, data.location.lng, data.location.distance);
-                this.updateStats({
-                    distance: data.location.distance,
-                    remaining: Math.max(0, 42.2 - data.location.distance)
+                this.updateStats(data.stats || {
+                    distance: data.location.distance
                 });
+                this.setSignalLost(false);
+                if (data.stats) {
+                    this.updateAutoPause(data.stats.autoPaused);
+                }
+            });
+
+            this.socket.on('split-completed', (data) => {
+                console.log('⏱️ Split completed:', data);
+                if (data.split.unit === 'km') {
+                    this.addSplit(data.split);
+                }
+            });
+
+            this.socket.on('checkpoint-reached', (data) => {
+                console.log('📍 Checkpoint reached:', data);
+                this.markCheckpointPassed(data.checkpoint);
+                this.showMessageStatus('success', `📍 ${data.checkpoint.name} reached in ${data.checkpoint.elapsedTime}`);
+            });
+
+            this.socket.on('off-course', (data) => {
+                console.log('🚧 Runner off course:', data);
+                this.showMessageStatus('error', data.reason === 'off_course'
+                    ? '🚧 Runner appears to be off the course'
+                    : '🚧 Runner is outside the event area');
+            });
+
+            this.socket.on('back-on-course', (data) => {
+                console.log('✅ Runner back on course:', data);
+                this.showMessageStatus('success', '✅ Runner is back on course');
+            });
+
+            this.socket.on('runner-signal-lost', (data) => {
+                console.log('📵 Runner signal lost:', data);
+                this.setSignalLost(true, data.lastHeardAt);
+                this.showMessageStatus('error', '📵 Lost contact with the runner\'s phone - the position shown may be out of date');
+            });
+
+            this.socket.on('runner-signal-restored', (data) => {
+                console.log('📶 Runner signal restored:', data);
+                this.setSignalLost(false);
+                this.showMessageStatus('success', '📶 Runner\'s phone is back online');
             });
 
             this.socket.on('new-message', (data) => {
@@ -217,11 +279,50 @@ class LiveTracker {
                 this.addNewMessage(data.message);
             });
 
+            this.socket.on('cheer-delivered', (data) => {
+                console.log('📬 Cheer delivered to runner:', data);
+                this.updateMessageReceipt(data.messageId, data);
+            });
+
+            this.socket.on('cheer-spoken', (data) => {
+                console.log('🗣️ Cheer spoken to runner:', data);
+                this.updateMessageReceipt(data.messageId, data);
+            });
+
             this.socket.on('activity-started', (data) => {
                 console.log('🏁 Activity started:', data);
                 this.raceStartTime = new Date(data.startTime);
-                this.updateConnectionStatus('online', 'Live Tracking');
-                this.isOnline = true;
+                this.raceEndTime = null;
+                this.pausedAt = null;
+                this.pausedTimeSec = 0;
+                this.setActivityStatus('active');
+                this.startRaceTimeUpdates();
+            });
+
+            this.socket.on('activity-paused', (data) => {
+                console.log('⏸️ Activity paused:', data);
+                this.pausedAt = new Date(data.pausedAt);
+                this.setActivityStatus('paused');
+            });
+
+            this.socket.on('activity-resumed', (data) => {
+                console.log('▶️ Activity resumed:', data);
+                this.pausedAt = null;
+                this.pausedTimeSec = data.activity.stats.pausedTimeSec || 0;
+                this.pauses = data.activity.pauses || [];
+                this.setActivityStatus('active');
+            });
+
+            this.socket.on('activity-finished', (data) => {
+                console.log('🏆 Activity finished:', data);
+                this.showFinishState(data.activity);
+                this.initReplay();
+            });
+
+            this.socket.on('activity-cancelled', (data) => {
+                console.log('🛑 Activity cancelled:', data);
+                this.showFinishState(data.activity);
+                this.initReplay();
             });
 
             console.log('🔌 Socket.IO initialized');
@@ -258,15 +359,18 @@ class LiveTracker {
             // Set race start time if available
             if (data.activity.startTime) {
                 this.raceStartTime = new Date(data.activity.startTime);
-                this.updateConnectionStatus('online', 'Live Tracking');
-                this.isOnline = true;
+                this.raceEndTime = data.activity.endTime ? new Date(data.activity.endTime) : null;
+                this.pausedAt = data.activity.pausedAt ? new Date(data.activity.pausedAt) : null;
+                this.pausedTimeSec = data.activity.pausedTimeSec || 0;
+                this.pauses = data.activity.pauses || [];
+                this.setActivityStatus(data.activity.status);
             } else {
-                this.updateConnectionStatus('offline', 'Not Started');
-                this.isOnline = false;
+                this.setActivityStatus('planned');
             }
 
             // Update stats
             this.updateStats(data.currentStats);
+            this.updateAutoPause(data.currentStats.autoPaused);
 
             // Update runner location if available
             console.log(`🗺️ Location data:`, { 
@@ -275,6 +379,9 @@ class LiveTracker {
                 currentStats: data.currentStats 
             });
             
+            // Draw the trail so far before placing the runner at its end
+            await this.loadTrack();
+
             if (data.lastLocation) {
                 console.log(`🗺️ Using last location: ${data.lastLocation.lat}, ${data.lastLocation.lng}`);
                 this.updateRunnerLocation(data.lastLocation.lat, data.lastLocation.lng, data.currentStats.distance);
@@ -289,12 +396,22 @@ class LiveTracker {
                 console.log(`⚠️ No location data available - map will show default location`);
             }
 
-            // Load messages
+            // The last position may be old if the phone stopped reporting
+            if (data.signal && data.signal.stale) {
+                this.setSignalLost(true, data.signal.lastHeardAt);
+            }
+
+            // Load messages, splits and checkpoints
             await this.loadMessages();
+            await this.loadSplits();
+            await this.loadCheckpoints();
 
-            // Start race time updates if race is active
-            if (this.raceStartTime) {
+            // Start race time updates if race is in progress, otherwise offer the replay
+            if (this.raceStartTime && !this.raceEndTime) {
                 this.startRaceTimeUpdates();
+            } else if (this.raceEndTime) {
+                this.updateRaceTime();
+                await this.initReplay();
             }
 
         } catch (error) {
@@ -324,12 +441,143 @@ class LiveTracker {
         }
     }
 
+    async loadSplits() {
+        try {
+            const response = await fetch(`${this.API_BASE_URL}/api/runner/${this.userId}/activity/${this.activityId}/splits?unit=km`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            console.log(`⏱️ Loaded ${data.splits.length} splits`);
+            this.splits = data.splits;
+            this.displaySplits();
+
+        } catch (error) {
+            console.error('❌ Error loading splits:', error);
+            this.displaySplits();
+        }
+    }
+
+    async loadTrack() {
+        try {
+            const response = await fetch(`${this.API_BASE_URL}/api/runner/${this.userId}/activity/${this.activityId}/track?maxPoints=1000`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            console.log(`🛤️ Loaded track: ${data.count} of ${data.totalPoints} points`);
+
+            // The last point is the current location, added when the runner marker is placed
+            this.routePath = data.points.slice(0, -1).map(point => [point.lat, point.lng]);
+            this.drawRoute();
+
+        } catch (error) {
+            console.error('❌ Error loading track:', error);
+        }
+    }
+
+    async loadCheckpoints() {
+        try {
+            const response = await fetch(`${this.API_BASE_URL}/api/runner/${this.userId}/activity/${this.activityId}/checkpoints`);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            console.log(`📍 Loaded ${data.count} checkpoints (${data.passed} passed)`);
+            data.checkpoints.forEach(checkpoint => this.addCheckpointMarker(checkpoint));
+            this.addCheckpointTriggers(data.checkpoints);
+
+        } catch (error) {
+            console.error('❌ Error loading checkpoints:', error);
+        }
+    }
+
+    addCheckpointMarker(checkpoint) {
+        if (checkpoint.lat === undefined || checkpoint.lng === undefined) return;
+
+        const marker = L.marker([checkpoint.lat, checkpoint.lng], {
+            icon: L.divIcon({
+                className: `checkpoint-marker${checkpoint.passed ? ' passed' : ''}`,
+                html: '🚩',
+                iconSize: [20, 20],
+                iconAnchor: [4, 20]
+            })
+        }).addTo(this.map);
+
+        marker.checkpoint = checkpoint;
+        this.checkpointMarkers.set(checkpoint.checkpointId, marker);
+        this.updateCheckpointPopup(marker, checkpoint.passage);
+    }
+
+    addCheckpointTriggers(checkpoints) {
+        const select = document.getElementById('cheerTrigger');
+        if (!select) return;
+
+        // Only checkpoints still ahead can hold a cheer back
+        checkpoints.filter(checkpoint => !checkpoint.passed).forEach(checkpoint => {
+            const option = document.createElement('option');
+            option.value = checkpoint.checkpointId;
+            option.textContent = `📍 When reaching ${checkpoint.name}`;
+            select.appendChild(option);
+        });
+    }
+
+    getSelectedTrigger() {
+        const select = document.getElementById('cheerTrigger');
+        return select && select.value ? { type: 'checkpoint', checkpointId: select.value } : undefined;
+    }
+
+    markCheckpointPassed(passage) {
+        const triggerOption = document.querySelector(`#cheerTrigger option[value="${passage.checkpointId}"]`);
+        if (triggerOption) {
+            if (triggerOption.selected) triggerOption.parentElement.value = '';
+            triggerOption.remove();
+        }
+
+        const marker = this.checkpointMarkers.get(passage.checkpointId);
+        if (!marker) return;
+
+        const element = marker.getElement();
+        if (element) {
+            element.classList.add('passed');
+        }
+        this.updateCheckpointPopup(marker, passage);
+    }
+
+    updateCheckpointPopup(marker, passage) {
+        const { name, distanceMeters } = marker.checkpoint;
+        const distance = distanceMeters !== undefined ? `${(distanceMeters / 1000).toFixed(1)} km<br>` : '';
+
+        marker.bindPopup(passage ? `
+            <b>📍 ${this.escapeHtml(name)}</b><br>
+            ${distance}
+            Passed: ${passage.elapsedTime}<br>
+            Split: ${passage.splitTime}
+        ` : `
+            <b>📍 ${this.escapeHtml(name)}</b><br>
+            ${distance}
+            <small>Not reached yet</small>
+        `);
+    }
+
     bindEvents() {
         // Canned cheer buttons
         document.querySelectorAll('.cheer-btn').forEach(btn => {
             btn.addEventListener('click', (e) => this.handleCannedCheer(e));
         });
 
+        // Voice cheer record button
+        const recordBtn = document.getElementById('recordCheerBtn');
+        if (recordBtn) {
+            recordBtn.addEventListener('click', () => this.toggleVoiceRecording());
+        }
+
         // Name input validation and auto-save
         const nameInput = document.getElementById('senderName');
         nameInput.addEventListener('input', () => {
@@ -426,7 +674,7 @@ class LiveTracker {
 
     validateCheerButtons() {
         const senderName = document.getElementById('senderName').value.trim();
-        const cheerButtons = document.querySelectorAll('.cheer-btn');
+        const cheerButtons = document.querySelectorAll('.cheer-btn, .record-cheer-btn');
 
         cheerButtons.forEach(btn => {
             if (senderName) {
@@ -448,18 +696,12 @@ class LiveTracker {
                 },
                 body: JSON.stringify({
                     sender: senderName,
-                    message: message
+                    message: message,
+                    trigger: this.getSelectedTrigger()
                 })
             });
 
-            if (response.ok) {
-                this.showMessageStatus('success', '✅ Cheer sent! The runner will hear it soon.');
-
-                // Message will be added via Socket.IO real-time update
-                return true;
-            } else {
-                throw new Error(`HTTP ${response.status}`);
-            }
+            return await this.handleCheerResponse(response);
         } catch (error) {
             console.error('❌ Failed to send message:', error);
             this.showMessageStatus('error', '❌ Failed to send cheer. Please try again.');
@@ -467,13 +709,237 @@ class LiveTracker {
         }
     }
 
+    async handleCheerResponse(response) {
+        if (response.status === 429) {
+            const data = await response.json().catch(() => ({}));
+            const retryAfterSec = data.retryAfterSec || Number(response.headers.get('Retry-After')) || 60;
+            this.showMessageStatus('error', `⏳ Slow down! You can send another cheer in ${this.formatRetryAfter(retryAfterSec)}.`);
+            return false;
+        } else if (response.status === 202) {
+            // Flagged by the filter - held until the runner reviews it
+            this.showMessageStatus('success', '🕓 Cheer received! It will be passed on once it has been reviewed.');
+            return true;
+        } else if (response.ok) {
+            const data = await response.json().catch(() => ({}));
+            this.showMessageStatus('success', data.trigger
+                ? `✅ Cheer sent! The runner will hear it ${this.describeTrigger(data.trigger)}.`
+                : '✅ Cheer sent! The runner will hear it soon.');
+
+            // Message will be added via Socket.IO real-time update
+            return true;
+        } else {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+    }
+
+    async toggleVoiceRecording() {
+        if (this.voiceRecorder) {
+            this.voiceRecorder.stop();
+            return;
+        }
+
+        const senderName = document.getElementById('senderName').value.trim();
+        if (!senderName) {
+            this.showMessageStatus('error', '⚠️ Please enter your name first!');
+            document.getElementById('senderName').focus();
+            return;
+        }
+
+        if (!navigator.mediaDevices || !window.MediaRecorder) {
+            this.showMessageStatus('error', '🎤 Voice cheers are not supported in this browser');
+            return;
+        }
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        } catch (error) {
+            console.error('❌ Microphone access denied:', error);
+            this.showMessageStatus('error', '🎤 Please allow microphone access to record a cheer');
+            return;
+        }
+
+        const recordBtn = document.getElementById('recordCheerBtn');
+        const recorder = new MediaRecorder(stream);
+        const chunks = [];
+        const startedAt = Date.now();
+
+        recorder.addEventListener('dataavailable', (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        });
+
+        recorder.addEventListener('stop', async () => {
+            clearTimeout(recorder.limitTimer);
+            stream.getTracks().forEach(track => track.stop());
+            this.voiceRecorder = null;
+            recordBtn.classList.remove('recording');
+            recordBtn.textContent = 'Sending...';
+            recordBtn.disabled = true;
+
+            const durationSec = Math.min(this.MAX_VOICE_CHEER_SEC, (Date.now() - startedAt) / 1000);
+            const audio = new Blob(chunks, { type: recorder.mimeType || 'audio/webm' });
+
+            try {
+                await this.sendVoiceCheer(senderName, audio, durationSec);
+            } catch (error) {
+                // Status already shown
+            } finally {
+                recordBtn.disabled = false;
+                recordBtn.textContent = '🎤 Record a voice cheer';
+            }
+        });
+
+        recorder.start();
+        this.voiceRecorder = recorder;
+        recordBtn.classList.add('recording');
+        recordBtn.textContent = `⏹️ Stop and send (max ${this.MAX_VOICE_CHEER_SEC}s)`;
+
+        // Stop on the limit so the upload isn't refused
+        recorder.limitTimer = setTimeout(() => {
+            if (recorder.state === 'recording') recorder.stop();
+        }, this.MAX_VOICE_CHEER_SEC * 1000);
+    }
+
+    async sendVoiceCheer(senderName, audio, durationSec) {
+        try {
+            const params = new URLSearchParams({
+                sender: senderName,
+                durationSec: durationSec.toFixed(1)
+            });
+            const trigger = this.getSelectedTrigger();
+            if (trigger) params.set('trigger', JSON.stringify(trigger));
+            const response = await fetch(`${this.API_BASE_URL}/api/runner/${this.userId}/activity/${this.activityId}/messages/voice?${params}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': audio.type
+                },
+                body: audio
+            });
+
+            return await this.handleCheerResponse(response);
+        } catch (error) {
+            console.error('❌ Failed to send voice cheer:', error);
+            this.showMessageStatus('error', `❌ Failed to send voice cheer. ${error.message}`);
+            throw error;
+        }
+    }
+
+    formatRetryAfter(seconds) {
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        const rest = seconds % 60;
+        return rest > 0 ? `${minutes}m ${rest}s` : `${minutes}m`;
+    }
+
     startRaceTimeUpdates() {
+        if (this.raceTimer) clearInterval(this.raceTimer);
+
         // Update race time every second
-        setInterval(() => {
+        this.raceTimer = setInterval(() => {
             this.updateRaceTime();
         }, 1000);
     }
 
+    stopRaceTimeUpdates() {
+        if (this.raceTimer) {
+            clearInterval(this.raceTimer);
+            this.raceTimer = null;
+        }
+    }
+
+    setActivityStatus(status) {
+        this.activityStatus = status;
+
+        const liveIndicator = document.querySelector('.live-indicator');
+        const liveText = document.querySelector('.live-text');
+
+        switch (status) {
+            case 'active':
+                this.updateConnectionStatus('online', 'Live Tracking');
+                this.isOnline = true;
+                break;
+            case 'paused':
+                this.updateConnectionStatus('paused', 'Paused');
+                this.isOnline = true;
+                break;
+            case 'finished':
+                this.updateConnectionStatus('finished', 'Finished');
+                this.isOnline = false;
+                break;
+            case 'cancelled':
+                this.updateConnectionStatus('offline', 'Race Ended');
+                this.isOnline = false;
+                break;
+            default:
+                this.updateConnectionStatus('offline', 'Not Started');
+                this.isOnline = false;
+        }
+
+        if (liveIndicator && liveText) {
+            const labels = { paused: 'PAUSED', finished: 'FINISHED 🏆', cancelled: 'RACE ENDED' };
+            liveIndicator.classList.toggle('ended', status === 'finished' || status === 'cancelled');
+            liveIndicator.classList.toggle('paused', status === 'paused');
+            liveText.textContent = labels[status] || 'LIVE NOW!';
+        }
+    }
+
+    updateAutoPause(autoPaused) {
+        // Only relevant while the race is live - manual pause and finish have their own states
+        if (this.activityStatus !== 'active' || this.signalLost) return;
+
+        if (autoPaused) {
+            this.updateConnectionStatus('paused', 'Stopped');
+        } else {
+            this.updateConnectionStatus('online', 'Live Tracking');
+        }
+    }
+
+    setSignalLost(lost, lastHeardAt) {
+        const wasLost = this.signalLost;
+        this.signalLost = lost && this.activityStatus === 'active';
+
+        const markerElement = this.runnerMarker && this.runnerMarker.getElement();
+        if (markerElement) {
+            markerElement.classList.toggle('stale', this.signalLost);
+        }
+
+        if (this.signalLost) {
+            const since = lastHeardAt ? ` since ${new Date(lastHeardAt).toLocaleTimeString()}` : '';
+            this.updateConnectionStatus('offline', `Signal lost${since}`);
+        } else if (wasLost && this.activityStatus === 'active') {
+            this.updateConnectionStatus('online', 'Live Tracking');
+        }
+    }
+
+    showFinishState(activity) {
+        this.raceEndTime = activity.endedAt ? new Date(activity.endedAt) : new Date();
+        this.pausedAt = null;
+        this.pausedTimeSec = activity.stats.pausedTimeSec || 0;
+        this.pauses = activity.pauses || [];
+        this.stopRaceTimeUpdates();
+        this.setActivityStatus(activity.status);
+        this.setSignalLost(false);
+
+        // Freeze the clock on the official finish time
+        if (activity.stats.totalTimeSec !== undefined) {
+            const timeString = this.formatTime(activity.stats.totalTimeSec);
+            document.getElementById('currentTime').textContent = timeString;
+            this.stats.currentTime = timeString;
+        } else {
+            this.updateRaceTime();
+        }
+
+        if (this.runnerMarker && activity.status === 'finished') {
+            this.runnerMarker.getPopup().setContent(`
+                <b>🏆 Finished!</b><br>
+                Time: ${this.stats.currentTime}<br>
+                Distance: ${(activity.stats.distanceMeters / 1000).toFixed(1)} km
+            `);
+            this.runnerMarker.openPopup();
+        }
+    }
+
     updateRunnerLocation(lat, lng, distance) {
         const newPos = [lat, lng];
 
@@ -506,7 +972,21 @@ class LiveTracker {
 
         // Add to route path
         this.routePath.push(newPos);
+        this.drawRoute();
+
+        // Center map on runner with smooth animation
+        this.map.panTo(newPos, { 
+            animate: true, 
+            duration: this.ANIMATION_DURATION / 1000 // Convert to seconds
+        });
+        
+        // Ensure runner is always visible and centered
+        this.ensureRunnerVisible(newPos);
 
+        console.log(`📍 Location updated: ${lat}, ${lng}, Distance: ${distance} km`);
+    }
+
+    drawRoute() {
         // Draw route if more than one point
         if (this.routePath.length > 1) {
             if (this.routeLine) {
@@ -518,17 +998,191 @@ class LiveTracker {
                 opacity: 0.8
             }).addTo(this.map);
         }
+    }
 
-        // Center map on runner with smooth animation
-        this.map.panTo(newPos, { 
-            animate: true, 
-            duration: this.ANIMATION_DURATION / 1000 // Convert to seconds
+    async initReplay() {
+        if (this.replay) return;
+
+        try {
+            const activityUrl = `${this.API_BASE_URL}/api/runner/${this.userId}/activity/${this.activityId}`;
+            const [trackResponse, messagesResponse] = await Promise.all([
+                fetch(`${activityUrl}/track?maxPoints=5000`),
+                fetch(`${activityUrl}/messages?limit=500`)
+            ]);
+
+            if (!trackResponse.ok) {
+                throw new Error(`HTTP ${trackResponse.status}: ${trackResponse.statusText}`);
+            }
+
+            const track = await trackResponse.json();
+            const messages = messagesResponse.ok ? await messagesResponse.json() : [];
+
+            if (track.points.length < 2) {
+                console.log('🎬 Not enough track points for a replay');
+                return;
+            }
+
+            const points = track.points.map(point => ({
+                lat: point.lat,
+                lng: point.lng,
+                distance: point.distance,
+                time: new Date(point.timestamp).getTime()
+            }));
+            const startMs = this.raceStartTime
+                ? Math.min(this.raceStartTime.getTime(), points[0].time)
+                : points[0].time;
+            const endMs = Math.max(this.raceEndTime ? this.raceEndTime.getTime() : 0, points[points.length - 1].time);
+            const pauses = this.pauses
+                .map(pause => ({ startMs: new Date(pause.startedAt).getTime(), endMs: new Date(pause.endedAt).getTime() }))
+                .sort((a, b) => a.startMs - b.startMs);
+
+            this.replay = {
+                points,
+                cheers: messages
+                    .map(message => ({ ...message, time: new Date(message.createdAt).getTime() }))
+                    .sort((a, b) => a.time - b.time),
+                pauses,
+                startMs,
+                endMs,
+                positionMs: endMs,
+                shownCheers: -1,
+                speed: Number(document.getElementById('replaySpeed').value) || 60,
+                timer: null
+            };
+
+            this.bindReplayControls();
+            document.getElementById('replayControls').classList.add('active');
+            this.renderReplayFrame();
+
+            console.log(`🎬 Replay ready: ${points.length} points, ${this.replay.cheers.length} cheers`);
+
+        } catch (error) {
+            console.error('❌ Error loading replay:', error);
+        }
+    }
+
+    bindReplayControls() {
+        const playBtn = document.getElementById('replayPlayBtn');
+        const scrubber = document.getElementById('replayScrubber');
+        const speedSelect = document.getElementById('replaySpeed');
+
+        playBtn.addEventListener('click', () => this.toggleReplay());
+
+        scrubber.addEventListener('input', () => {
+            const { startMs, endMs } = this.replay;
+            this.replay.positionMs = startMs + (scrubber.value / scrubber.max) * (endMs - startMs);
+            this.renderReplayFrame();
         });
-        
-        // Ensure runner is always visible and centered
-        this.ensureRunnerVisible(newPos);
 
-        console.log(`📍 Location updated: ${lat}, ${lng}, Distance: ${distance} km`);
+        speedSelect.addEventListener('change', () => {
+            this.replay.speed = Number(speedSelect.value) || 60;
+        });
+    }
+
+    toggleReplay() {
+        const replay = this.replay;
+        if (!replay) return;
+
+        const playBtn = document.getElementById('replayPlayBtn');
+
+        if (replay.timer) {
+            clearInterval(replay.timer);
+            replay.timer = null;
+            playBtn.textContent = '▶️';
+            playBtn.title = 'Play replay';
+            return;
+        }
+
+        // Start over when the replay already reached the finish
+        if (replay.positionMs >= replay.endMs) {
+            replay.positionMs = replay.startMs;
+            replay.shownCheers = -1;
+        }
+
+        const tickMs = 100;
+        replay.timer = setInterval(() => {
+            replay.positionMs = Math.min(replay.endMs, replay.positionMs + tickMs * replay.speed);
+
+            // Nothing happens while the runner is paused, so play on from where they resumed
+            const pause = replay.pauses.find(p => replay.positionMs >= p.startMs && replay.positionMs < p.endMs);
+            if (pause) {
+                replay.positionMs = Math.min(replay.endMs, pause.endMs);
+            }
+            this.renderReplayFrame();
+
+            if (replay.positionMs >= replay.endMs) {
+                this.toggleReplay();
+            }
+        }, tickMs);
+
+        playBtn.textContent = '⏸️';
+        playBtn.title = 'Pause replay';
+    }
+
+    renderReplayFrame() {
+        const { points, cheers, startMs, endMs, positionMs } = this.replay;
+
+        // Last point at or before the playhead
+        let low = 0;
+        let high = points.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (points[mid].time <= positionMs) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        // Interpolate between fixes so the runner moves smoothly
+        const previous = points[low];
+        const next = points[Math.min(low + 1, points.length - 1)];
+        const span = next.time - previous.time;
+        const t = span > 0 ? Math.min(1, Math.max(0, (positionMs - previous.time) / span)) : 0;
+        const position = [
+            previous.lat + t * (next.lat - previous.lat),
+            previous.lng + t * (next.lng - previous.lng)
+        ];
+        const distance = previous.distance + t * (next.distance - previous.distance);
+
+        this.routePath = points.slice(0, low + 1).map(point => [point.lat, point.lng]);
+        this.routePath.push(position);
+        this.drawRoute();
+
+        if (this.runnerMarker) {
+            this.runnerMarker.setLatLng(position);
+        }
+        if (!this.map.getBounds().contains(position)) {
+            this.map.panTo(position, { animate: false });
+        }
+
+        const elapsed = this.getReplayElapsedSec(positionMs);
+        document.getElementById('currentTime').textContent = this.formatTime(elapsed);
+        document.getElementById('distance').textContent = distance.toFixed(1);
+        document.getElementById('replayTime').textContent = this.formatTime(elapsed);
+        document.getElementById('replayScrubber').value = endMs > startMs
+            ? Math.round((positionMs - startMs) / (endMs - startMs) * 1000)
+            : 1000;
+
+        // Cheers that had arrived by this moment of the race
+        const visibleCheers = cheers.filter(cheer => cheer.time <= positionMs);
+        if (visibleCheers.length !== this.replay.shownCheers) {
+            if (this.replay.timer && visibleCheers.length > this.replay.shownCheers && this.replay.shownCheers >= 0) {
+                const latest = visibleCheers[visibleCheers.length - 1];
+                // Cheers come back HTML-escaped from the server; the status line shows plain text
+                this.showMessageStatus('success', `💬 ${this.preserveEmojis(latest.sender || 'Anonymous')}: ${this.preserveEmojis(latest.message)}`);
+            }
+            this.replay.shownCheers = visibleCheers.length;
+            this.displayMessages(visibleCheers);
+        }
+    }
+
+    // Race clock at a point of the replay, leaving out manual pauses like the live clock does
+    getReplayElapsedSec(positionMs) {
+        const { pauses, startMs } = this.replay;
+        const pausedMs = pauses.reduce((total, pause) =>
+            total + Math.max(0, Math.min(positionMs, pause.endMs) - Math.max(startMs, pause.startMs)), 0);
+        return Math.max(0, Math.floor((positionMs - startMs - pausedMs) / 1000));
     }
 
     updateStats(stats) {
@@ -543,7 +1197,9 @@ class LiveTracker {
                 setTimeout(() => element.classList.remove('stat-updating'), 500);
 
                 // Update value
-                if (stat === 'distance' || stat === 'remaining') {
+                if (stat === 'remaining' && stats[stat] === null) {
+                    element.textContent = '--';
+                } else if (stat === 'distance' || stat === 'remaining') {
                     element.textContent = parseFloat(stats[stat]).toFixed(1);
                 } else {
                     element.textContent = stats[stat];
@@ -551,14 +1207,76 @@ class LiveTracker {
             }
         });
 
+        if (stats.prediction !== undefined) {
+            this.updatePrediction(stats.prediction);
+        }
+
+        if (stats.analytics !== undefined) {
+            this.updateAnalytics(stats.analytics);
+        }
+
+        if (stats.elevation !== undefined) {
+            this.updateElevation(stats.elevation);
+        }
+
         // Store stats
         this.stats = { ...this.stats, ...stats };
     }
 
+    updatePrediction(prediction) {
+        const etaElement = document.getElementById('finishEta');
+        const rangeElement = document.getElementById('finishEtaRange');
+        if (!etaElement || !rangeElement) return;
+
+        if (!prediction) {
+            etaElement.textContent = '--:--';
+            rangeElement.textContent = '';
+            return;
+        }
+
+        const clock = date => new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        etaElement.textContent = clock(prediction.predictedFinishAt);
+        etaElement.title = `Predicted finish time ${prediction.predictedFinishTime}`;
+        rangeElement.textContent = `${clock(prediction.confidence.earliestFinishAt)} – ${clock(prediction.confidence.latestFinishAt)}`;
+    }
+
+    updateAnalytics(analytics) {
+        const zoneElement = document.getElementById('heartRateZone');
+        if (!zoneElement) return;
+
+        // Rolling values over the last few minutes, smoother than the latest reading
+        const parts = [];
+        if (analytics && analytics.zone) {
+            parts.push(`Z${analytics.zone} ${analytics.zoneName}`);
+        }
+        if (analytics && analytics.avgCadence) {
+            parts.push(`${analytics.avgCadence} spm`);
+        }
+        zoneElement.textContent = parts.join(' · ');
+    }
+
+    updateElevation(elevation) {
+        const paceDetail = document.getElementById('paceDetail');
+        if (!paceDetail) return;
+
+        // Grade-adjusted pace shows the effort behind a slow pace on a climb
+        const parts = [];
+        if (elevation.gradeAdjustedPace) {
+            parts.push(`GAP ${elevation.gradeAdjustedPace}`);
+        }
+        if (Math.abs(elevation.gradePct) >= 2) {
+            parts.push(`${elevation.gradePct > 0 ? '↗' : '↘'} ${Math.abs(elevation.gradePct).toFixed(0)}%`);
+        }
+        paceDetail.textContent = parts.join(' · ');
+        paceDetail.title = `Climbed ${elevation.gainM} m, descended ${elevation.lossM} m`;
+    }
+
     updateRaceTime() {
         if (!this.raceStartTime) return;
 
-        const elapsed = Math.floor((Date.now() - this.raceStartTime) / 1000);
+        const end = this.raceEndTime || this.pausedAt || new Date();
+        const elapsed = Math.max(0, Math.floor((end - this.raceStartTime) / 1000 - this.pausedTimeSec));
         const timeString = this.formatTime(elapsed);
         document.getElementById('currentTime').textContent = timeString;
         this.stats.currentTime = timeString;
@@ -604,10 +1322,10 @@ class LiveTracker {
         const recentMessages = messages.slice(-10).reverse();
 
         messagesList.innerHTML = recentMessages.map(msg => `
-            <div class="message-item">
+            <div class="message-item" data-message-id="${msg.messageId}">
                 <div class="message-sender">${this.preserveEmojis(msg.sender || 'Anonymous')}</div>
-                <div class="message-text">${this.preserveEmojis(msg.message)}</div>
-                <div class="message-time">${new Date(msg.createdAt).toLocaleTimeString()}</div>
+                <div class="message-text">${this.preserveEmojis(msg.message)}</div>${this.formatMessageAudio(msg)}${this.formatMessageTrigger(msg)}
+                <div class="message-time">${new Date(msg.createdAt).toLocaleTimeString()}${this.formatMessageReceipt(msg)}</div>
             </div>
         `).join('');
 
@@ -623,10 +1341,10 @@ class LiveTracker {
 
         // Add new message at the top
         const newMsgHtml = `
-            <div class="message-item" style="animation: messageSlideIn 0.3s ease;">
+            <div class="message-item" data-message-id="${message.messageId}" style="animation: messageSlideIn 0.3s ease;">
                 <div class="message-sender">${this.preserveEmojis(message.sender)}</div>
-                <div class="message-text">${this.preserveEmojis(message.message)}</div>
-                <div class="message-time">${new Date(message.timestamp).toLocaleTimeString()}</div>
+                <div class="message-text">${this.preserveEmojis(message.message)}</div>${this.formatMessageAudio(message)}${this.formatMessageTrigger(message)}
+                <div class="message-time">${new Date(message.timestamp).toLocaleTimeString()}${this.formatMessageReceipt(message)}</div>
             </div>
         `;
         messagesList.insertAdjacentHTML('afterbegin', newMsgHtml);
@@ -642,6 +1360,98 @@ class LiveTracker {
         }
     }
 
+    formatMessageAudio(message) {
+        if (!message.audioUrl) return '';
+        return `
+                <audio class="message-audio" controls preload="none" src="${this.API_BASE_URL}${message.audioUrl}"></audio>`;
+    }
+
+    describeTrigger(trigger) {
+        switch (trigger.type) {
+            case 'distance':
+                return `at km ${trigger.distanceKm}`;
+            case 'checkpoint':
+                return `at ${trigger.checkpointName}`;
+            default:
+                return `at ${new Date(trigger.at).toLocaleTimeString()}`;
+        }
+    }
+
+    formatMessageTrigger(message) {
+        // Once it has reached the phone the trigger no longer matters
+        if (!message.trigger || message.deliveredAt) return '';
+        return `
+                <div class="message-trigger">⏰ Plays ${this.escapeHtml(this.describeTrigger(message.trigger))}</div>`;
+    }
+
+    formatMessageReceipt(message) {
+        if (message.spokenAt) {
+            return ` <span class="message-receipt spoken" title="Read out at ${new Date(message.spokenAt).toLocaleTimeString()}">✓ heard by runner</span>`;
+        }
+        if (message.deliveredAt) {
+            return ` <span class="message-receipt delivered" title="Reached the runner's phone at ${new Date(message.deliveredAt).toLocaleTimeString()}">✓ delivered</span>`;
+        }
+        return '';
+    }
+
+    updateMessageReceipt(messageId, receipt) {
+        const messageItem = document.querySelector(`.message-item[data-message-id="${messageId}"]`);
+        if (!messageItem) return;
+
+        const timeElement = messageItem.querySelector('.message-time');
+        const existing = timeElement.querySelector('.message-receipt');
+
+        // A late delivered receipt mustn't replace one saying the cheer was heard
+        if (existing && existing.classList.contains('spoken') && !receipt.spokenAt) return;
+        if (existing) existing.remove();
+
+        timeElement.insertAdjacentHTML('beforeend', this.formatMessageReceipt(receipt));
+    }
+
+    displaySplits() {
+        const splitsList = document.getElementById('splitsList');
+        const splitCount = document.getElementById('splitCount');
+
+        if (!splitsList || !splitCount) return;
+
+        splitCount.textContent = `(${this.splits.length})`;
+
+        if (this.splits.length === 0) {
+            splitsList.innerHTML = '<tr><td colspan="5" class="loading-messages">No splits yet</td></tr>';
+            return;
+        }
+
+        // Latest split first
+        splitsList.innerHTML = [...this.splits].reverse().map(split => this.renderSplitRow(split)).join('');
+    }
+
+    addSplit(split) {
+        // Ignore splits already loaded with the initial data
+        if (this.splits.some(s => s.index === split.index)) return;
+
+        this.splits.push(split);
+        this.displaySplits();
+
+        const firstRow = document.querySelector('#splitsList tr');
+        if (firstRow) {
+            firstRow.classList.add('split-new');
+        }
+    }
+
+    renderSplitRow(split) {
+        return `
+            <tr>
+                <td>${split.index}</td>
+                <td>${split.splitTime}</td>
+                <td>${split.gradeAdjustedPace || '--'}</td>
+                <td>${split.elevationGainM !== null && split.elevationGainM !== undefined
+                    ? `+${split.elevationGainM}/-${split.elevationLossM}`
+                    : '--'}</td>
+                <td>${split.elapsedTime}</td>
+            </tr>
+        `;
+    }
+
     showMessageStatus(type, message) {
         const statusElement = document.getElementById('messageStatus');
         if (!statusElement) return;
@@ -706,6 +1516,8 @@ class LiveTracker {
 
     destroy() {
         // Clean up timers and resources
+        this.stopRaceTimeUpdates();
+        if (this.replay && this.replay.timer) clearInterval(this.replay.timer);
         if (this.updateTimer) clearInterval(this.updateTimer);
         if (this.messageTimer) clearInterval(this.messageTimer);
         if (this.socket) {
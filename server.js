@@ -6,25 +6,59 @@ const socketIo = require('socket.io');
 
 // Database imports
 const { connectDB } = require('./db/db');
-const { User, Event, Activity, LocationPing, Cheer } = require('./db/models');
+const { User, Event, Activity, LocationPing, LocationRollup, Cheer } = require('./db/models');
 const { 
     generateUserId, 
     generateEventId, 
     generateActivityId, 
     generateShareToken,
+    generateRunnerToken,
     validateId, 
-    calculateDistance, 
+    validateMessageId,
     calculatePace, 
     formatTime,
+    getActivityElapsedSec,
     sanitizeInput,
+    checkShareAccess,
+    checkRunnerAccess,
     getBerlinMarathonBounds,
-    getClientIP
+    getClientIP,
+    parseTrustProxy
 } = require('./db/utils');
 
+const { MAX_BATCH_SIZE, SPLIT_UNITS, parseLocationPing, ingestLocationPings } = require('./db/tracking');
+const { FILTER_CONFIG } = require('./db/gps-filter');
+const { buildFinishPrediction } = require('./db/prediction');
+const { getEventCheckpoints } = require('./db/checkpoints');
+const { boundsToPolygon, parseGeofenceInput, getEventGeofence } = require('./db/geofence');
+const { TRACK_CONFIG, getActivityTrack, simplifyTrack, encodePolyline } = require('./db/track');
+const { EXPORT_FORMATS, getExportPings, buildGpx, buildTcx, buildGeoJson } = require('./db/export');
+const { parseGpxCourse, parseGeoJsonCourse, buildCourseImport } = require('./db/course-import');
+const { getHeartRateProfile, getActivityAnalytics, getRollingAnalytics } = require('./db/analytics');
+const { getNextCheckpointDistance, recommendPingInterval } = require('./db/ping-interval');
+const {
+    WATCHDOG_CONFIG,
+    getLastHeardAt,
+    getSignalState,
+    markSignalLost,
+    findAbandonedActivities
+} = require('./db/watchdog');
+const { STORAGE_CONFIG, runStorageMaintenance, getRollupTrack } = require('./db/storage');
+const { MODERATION_CONFIG, moderateCheer } = require('./db/moderation');
+const { takeCheerToken } = require('./db/rate-limit');
+const { parseCheerTrigger, triggerReadyQuery, formatCheerTrigger } = require('./db/cheer-triggers');
+const { VOICE_NOTE_CONFIG, validateVoiceNote, saveVoiceNote, getVoiceNotePath, deleteVoiceNote } = require('./db/voice-notes');
+
 // Import database initialization
 const { initializeDatabase } = require('./db/init');
 
 const app = express();
+
+// Client addresses (for cheer rate limits) only come from X-Forwarded-For behind a trusted proxy
+const trustProxy = parseTrustProxy(process.env.TRUST_PROXY);
+if (trustProxy !== undefined) {
+    app.set('trust proxy', trustProxy);
+}
 const server = http.createServer(app);
 const io = socketIo(server, {
     cors: {
@@ -35,6 +69,9 @@ const io = socketIo(server, {
 
 const PORT = process.env.PORT || 3000;
 
+// Statuses that no longer accept location pings or lifecycle changes
+const ENDED_ACTIVITY_STATUSES = ['finished', 'cancelled'];
+
 // Connect to MongoDB and initialize if needed
 async function startServer() {
     try {
@@ -63,6 +100,9 @@ async function startServer() {
             console.log(`🔌 Socket.IO enabled for real-time updates`);
             console.log(`🌍 Server listening on all interfaces (0.0.0.0:${PORT})`);
         });
+
+        startSignalWatchdog();
+        startStorageMaintenance();
         
     } catch (error) {
         console.error('❌ Failed to start server:', error);
@@ -115,7 +155,9 @@ app.get('/dashboard', async (req, res) => {
                 .status { padding: 6px 12px; border-radius: 20px; font-size: 12px; font-weight: 600; }
                 .status.planned { background: #e3f2fd; color: #1976d2; }
                 .status.active { background: #e8f5e8; color: #2e7d32; }
+                .status.paused { background: #fff8e1; color: #f57f17; }
                 .status.finished { background: #f3e5f5; color: #7b1fa2; }
+                .status.cancelled { background: #fdecea; color: #c62828; }
                 .runner-info { margin-bottom: 10px; }
                 .event-info { margin-bottom: 15px; }
                 .tracking-links { display: flex; gap: 10px; flex-wrap: wrap; }
@@ -154,6 +196,7 @@ app.get('/dashboard', async (req, res) => {
                     <div class="timestamp">
                         <strong>Created:</strong> ${new Date(activity.createdAt).toLocaleString()}
                         ${activity.startedAt ? `<br><strong>Started:</strong> ${new Date(activity.startedAt).toLocaleString()}` : ''}
+                        ${activity.endedAt ? `<br><strong>Ended:</strong> ${new Date(activity.endedAt).toLocaleString()}` : ''}
                     </div>
                     <div class="tracking-links">
                         <a href="/runner/${activity.runnerId?._id || 'unknown'}/${activity._id}" target="_blank">👁️ View Activity</a>
@@ -292,6 +335,152 @@ app.post('/api/test/activity', async (req, res) => {
     }
 });
 
+// Import an event course from GPX or GeoJSON
+// Send the file as the raw body (GPX as application/gpx+xml, GeoJSON as JSON) or as { gpx } / { geojson }
+app.post('/api/events/:eventId/course',
+    express.text({ type: ['application/gpx+xml', 'application/xml', 'text/xml'], limit: '10mb' }),
+    express.json({ type: 'application/geo+json', limit: '10mb' }),
+    async (req, res) => {
+    try {
+        const { eventId } = req.params;
+        const { checkpoints: checkpointMode = 'km', distance: distanceMode = 'official' } = req.query;
+        const markerIntervalKm = req.query.markerIntervalKm !== undefined ? Number(req.query.markerIntervalKm) : 1;
+
+        if (!validateId(eventId, 'event')) {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+
+        if (!['km', 'none'].includes(checkpointMode) || !['official', 'measured'].includes(distanceMode)) {
+            return res.status(400).json({
+                error: 'Invalid import options',
+                allowed: { checkpoints: ['km', 'none'], distance: ['official', 'measured'] }
+            });
+        }
+
+        if (!(markerIntervalKm >= 0.1 && markerIntervalKm <= 10)) {
+            return res.status(400).json({ error: 'markerIntervalKm must be between 0.1 and 10' });
+        }
+
+        let parsed;
+        if (typeof req.body === 'string') {
+            parsed = parseGpxCourse(req.body);
+        } else if (req.body && typeof req.body.gpx === 'string') {
+            parsed = parseGpxCourse(req.body.gpx);
+        } else if (req.body && req.body.geojson) {
+            parsed = parseGeoJsonCourse(req.body.geojson);
+        } else if (req.body && req.body.type) {
+            parsed = parseGeoJsonCourse(req.body);
+        } else {
+            parsed = { error: 'Send a GPX or GeoJSON course' };
+        }
+
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const event = await Event.findById(eventId);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        const imported = buildCourseImport(parsed.coordinates, event, {
+            useMeasuredDistance: distanceMode === 'measured',
+            generateCheckpoints: checkpointMode === 'km',
+            markerIntervalMeters: markerIntervalKm * 1000
+        });
+
+        event.route.course = imported.course;
+        event.route.measuredDistanceMeters = imported.measuredDistanceMeters;
+        event.route.checkpoints = imported.checkpoints;
+        event.distance = imported.distance;
+        event.updatedAt = new Date();
+        await event.save();
+
+        console.log(`🗺️ Imported course for ${event.name}: ${parsed.coordinates.length} points, ${(imported.measuredDistanceMeters / 1000).toFixed(2)} km measured`);
+
+        res.json({
+            success: true,
+            message: 'Course imported successfully',
+            event: {
+                id: event._id,
+                name: event.name,
+                distance: event.distance,
+                measuredDistanceMeters: imported.measuredDistanceMeters,
+                coursePoints: parsed.coordinates.length
+            },
+            checkpoints: event.route.checkpoints.map(checkpoint => ({
+                checkpointId: String(checkpoint._id),
+                name: checkpoint.name,
+                distanceMeters: checkpoint.distance,
+                lat: checkpoint.coordinates.coordinates[1],
+                lng: checkpoint.coordinates.coordinates[0],
+                auto: Boolean(checkpoint.auto)
+            }))
+        });
+
+    } catch (error) {
+        console.error('❌ Error importing course:', error);
+        res.status(500).json({
+            error: 'Failed to import course',
+            message: error.message
+        });
+    }
+});
+
+// Set an event's allowed area: a polygon (or bounds box) and/or the buffer around its course
+app.put('/api/events/:eventId/geofence', async (req, res) => {
+    try {
+        const { eventId } = req.params;
+
+        if (!validateId(eventId, 'event')) {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+
+        const { update, error } = parseGeofenceInput(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const event = await Event.findById(eventId);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        if (update.polygon !== undefined) {
+            event.set('geofence.polygon', update.polygon || undefined);
+        }
+        if (update.courseBufferM !== undefined) {
+            event.set('geofence.courseBufferM', update.courseBufferM || undefined);
+        }
+        event.updatedAt = new Date();
+        await event.save();
+
+        console.log(`🚧 Updated geofence for ${event.name}`);
+
+        const geofence = getEventGeofence(event);
+        res.json({
+            success: true,
+            message: 'Geofence updated successfully',
+            eventId: event._id,
+            geofence: {
+                polygon: event.geofence && event.geofence.polygon && event.geofence.polygon.coordinates
+                    ? event.geofence.polygon
+                    : null,
+                courseBufferM: event.geofence ? event.geofence.courseBufferM || null : null,
+                // What pings are checked against, including the default buffer for events with a course
+                effectiveCourseBufferM: geofence ? geofence.courseBufferM : null
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating geofence:', error);
+        res.status(500).json({
+            error: 'Failed to update geofence',
+            message: error.message
+        });
+    }
+});
+
 // Get recent activities with tracking links
 app.get('/api/activities/recent', async (req, res) => {
     try {
@@ -450,14 +639,27 @@ app.post('/api/runners', async (req, res) => {
 app.post('/api/runner/:runnerId/activity/:activityId/start', async (req, res) => {
     try {
         const { runnerId, activityId } = req.params;
-        const { startLocation, latitude, longitude, eventName, eventType, eventDate } = req.body;
+        const { startLocation, latitude, longitude, eventName, eventType, eventDate, targetPaceSecPerKm,
+            maxHeartRate, restingHeartRate, autoApproveVoiceCheers } = req.body;
 
         if (!validateId(runnerId) || !validateId(activityId)) {
             return res.status(400).json({ error: 'Invalid ID format' });
         }
 
+        if (targetPaceSecPerKm !== undefined && !(Number(targetPaceSecPerKm) >= 120 && Number(targetPaceSecPerKm) <= 1200)) {
+            return res.status(400).json({ error: 'targetPaceSecPerKm must be between 120 and 1200 seconds per km' });
+        }
+
+        if (maxHeartRate !== undefined && !(Number(maxHeartRate) >= 100 && Number(maxHeartRate) <= 230)) {
+            return res.status(400).json({ error: 'maxHeartRate must be between 100 and 230 bpm' });
+        }
+
+        if (restingHeartRate !== undefined && !(Number(restingHeartRate) >= 30 && Number(restingHeartRate) <= 120)) {
+            return res.status(400).json({ error: 'restingHeartRate must be between 30 and 120 bpm' });
+        }
+
         let user = await User.findById(runnerId);
-        let activity = await Activity.findById(activityId);
+        let activity = await Activity.findById(activityId).select('+runnerToken');
         let event = null;
 
         // If user doesn't exist, create a new one with dummy data
@@ -480,6 +682,19 @@ app.post('/api/runner/:runnerId/activity/:activityId/start', async (req, res) =>
             console.log(`✅ Created new user: ${user.displayName} (${user._id})`);
         }
 
+        // Heart rate profile for zone analytics
+        if (maxHeartRate !== undefined || restingHeartRate !== undefined) {
+            const heartRate = {
+                max: maxHeartRate !== undefined ? Number(maxHeartRate) : user.preferences?.heartRate?.max,
+                resting: restingHeartRate !== undefined ? Number(restingHeartRate) : user.preferences?.heartRate?.resting
+            };
+            if (heartRate.max && heartRate.resting && heartRate.resting >= heartRate.max) {
+                return res.status(400).json({ error: 'restingHeartRate must be lower than maxHeartRate' });
+            }
+            user.preferences.heartRate = heartRate;
+            await user.save();
+        }
+
         // If activity doesn't exist, create a new one
         if (!activity) {
             console.log(`🏃‍♂️ Creating new activity with ID: ${activityId}`);
@@ -553,6 +768,9 @@ app.post('/api/runner/:runnerId/activity/:activityId/start', async (req, res) =>
                         },
                         type: 'marathon',
                         distance: 42195,
+                        geofence: {
+                            polygon: boundsToPolygon(getBerlinMarathonBounds())
+                        },
                         description: 'The 52nd Berlin Marathon - one of the world\'s fastest marathon courses',
                         status: 'upcoming',
                         registration: {
@@ -593,6 +811,7 @@ app.post('/api/runner/:runnerId/activity/:activityId/start', async (req, res) =>
                     token: generateShareToken(),
                     expiresAt: null
                 },
+                runnerToken: generateRunnerToken(),
                 settings: {
                     pingIntervalSec: 10,
                     cheersEnabled: true,
@@ -602,6 +821,16 @@ app.post('/api/runner/:runnerId/activity/:activityId/start', async (req, res) =>
             await activity.save();
             console.log(`✅ Created new activity: ${activity._id} for user ${user.displayName}`);
         } else {
+            // Restarting a running or paused activity would reset startedAt and leave a pause open
+            if (activity.status !== 'planned') {
+                return res.status(409).json({
+                    error: activity.status === 'paused'
+                        ? 'Activity is paused - resume it instead of starting it again'
+                        : `Cannot start an activity that is ${activity.status}`,
+                    status: activity.status
+                });
+            }
+
             // Get the event for existing activity
             event = await Event.findById(activity.eventId);
         }
@@ -610,6 +839,16 @@ app.post('/api/runner/:runnerId/activity/:activityId/start', async (req, res) =>
         activity.status = 'active';
         activity.startedAt = new Date();
         activity.updatedAt = new Date();
+        if (targetPaceSecPerKm) {
+            activity.settings.targetPaceSecPerKm = Number(targetPaceSecPerKm);
+        }
+        if (!activity.runnerToken) {
+            // Activities created before runner tokens existed get one on their first start
+            activity.runnerToken = generateRunnerToken();
+        }
+        if (autoApproveVoiceCheers !== undefined) {
+            activity.settings.autoApproveVoiceCheers = autoApproveVoiceCheers === true || autoApproveVoiceCheers === 'true';
+        }
         await activity.save();
 
         // Save initial location if provided
@@ -672,6 +911,8 @@ app.post('/api/runner/:runnerId/activity/:activityId/start', async (req, res) =>
                     status: activity.status,
                     startedAt: activity.startedAt,
                     share: activity.share,
+                    // Keep this on the phone - it approves held cheers and must not be shared
+                    runnerToken: activity.runnerToken,
                     settings: activity.settings
                 },
                 startLocation: startLocation || null
@@ -688,107 +929,185 @@ app.post('/api/runner/:runnerId/activity/:activityId/start', async (req, res) =>
     }
 });
 
-// Update runner location (from mobile app)
-app.post('/api/runner/:runnerId/activity/:activityId/location', async (req, res) => {
-    try {
-        const { runnerId, activityId } = req.params;
-        const { lat, lng, accuracy, altitude, speed, heading, heartRate, cadence, temperature, humidity } = req.body;
+// Fold an in-progress manual pause into the accumulated paused time
+function closeOpenPause(activity, now) {
+    if (activity.status === 'paused' && activity.pausedAt) {
+        activity.stats.pausedTimeSec = (activity.stats.pausedTimeSec || 0) +
+            Math.floor((now - activity.pausedAt) / 1000);
+        activity.pauses.push({ startedAt: activity.pausedAt, endedAt: now });
+        activity.pausedAt = undefined;
+    }
+}
 
-        if (!validateId(runnerId) || !validateId(activityId)) {
-            return res.status(400).json({ error: 'Invalid ID format' });
+// Set endedAt and close out the activity's final stats
+function closeOutActivity(activity, status, now, reason = 'runner') {
+    closeOpenPause(activity, now);
+    activity.status = status;
+    activity.endedAt = now;
+    activity.endReason = reason;
+    activity.stats.signalLost = false;
+    activity.stats.autoPaused = false;
+    activity.updatedAt = now;
+
+    if (activity.startedAt) {
+        activity.stats.totalTimeSec = getActivityElapsedSec(activity, now);
+        if (activity.stats.distanceMeters > 0) {
+            activity.stats.avgPaceSecPerKm = Math.round(calculatePace(activity.stats.totalTimeSec, activity.stats.distanceMeters));
         }
+    }
+}
 
-        if (!lat || !lng) {
-            return res.status(400).json({ error: 'Latitude and longitude are required' });
+// Summary returned by the lifecycle endpoints and socket events
+function formatActivityLifecycle(activity) {
+    return {
+        id: activity._id,
+        status: activity.status,
+        startedAt: activity.startedAt,
+        pausedAt: activity.pausedAt,
+        pauses: activity.pauses || [],
+        endedAt: activity.endedAt,
+        endReason: activity.endReason,
+        stats: {
+            distanceMeters: activity.stats.distanceMeters || 0,
+            totalTimeSec: activity.stats.totalTimeSec,
+            pausedTimeSec: activity.stats.pausedTimeSec || 0,
+            avgPaceSecPerKm: activity.stats.avgPaceSecPerKm
         }
+    };
+}
+
+// Flag runners whose phone went quiet, and finish activities that have been silent too long
+let watchdogRunning = false;
+async function runSignalWatchdog() {
+    // A slow scan shouldn't overlap the next one
+    if (watchdogRunning) return;
+    watchdogRunning = true;
 
-        // Validate location is within Berlin Marathon bounds
-        const bounds = getBerlinMarathonBounds();
-        if (!require('./db/utils').isLocationWithinBounds(lat, lng, bounds)) {
-            console.warn(`⚠️ Location outside Berlin bounds: ${lat}, ${lng}`);
+    try {
+        const now = new Date();
+
+        const lost = await markSignalLost(now);
+        lost.forEach(activity => {
+            const signal = getSignalState(activity, now);
+            console.log(`📵 Signal lost for ${activity._id} (silent for ${signal.silentSec}s)`);
+            io.to(`${activity.runnerId}-${activity._id}`).emit('runner-signal-lost', {
+                runnerId: activity.runnerId,
+                activityId: activity._id,
+                lostAt: signal.lostAt,
+                lastHeardAt: signal.lastHeardAt,
+                silentSec: signal.silentSec
+            });
+        });
+
+        const abandoned = await findAbandonedActivities(now);
+        for (const activity of abandoned) {
+            // End at the last time the phone was heard from so the silence doesn't count towards the finish time
+            closeOutActivity(activity, 'finished', activity.updatedAt || getLastHeardAt(activity), 'signal_lost');
+            await activity.save();
+
+            console.log(`🏁 Activity auto-finished after losing signal: ${activity._id}`);
+            io.to(`${activity.runnerId}-${activity._id}`).emit('activity-finished', {
+                runnerId: activity.runnerId,
+                activityId: activity._id,
+                endTime: activity.endedAt,
+                reason: 'signal_lost',
+                activity: formatActivityLifecycle(activity)
+            });
         }
+    } catch (error) {
+        console.error('❌ Signal watchdog failed:', error);
+    } finally {
+        watchdogRunning = false;
+    }
+}
 
-        // Get previous location to calculate distance
-        const previousLocation = await LocationPing.findOne(
-            { 'meta.activityId': activityId, 'meta.runnerId': runnerId },
-            {},
-            { sort: { ts: -1 } }
-        );
+function startSignalWatchdog() {
+    const timer = setInterval(runSignalWatchdog, WATCHDOG_CONFIG.checkIntervalSec * 1000);
+    timer.unref();
+    console.log(`📡 Signal watchdog running every ${WATCHDOG_CONFIG.checkIntervalSec}s`);
+}
+
+// Roll up ended activities and expire old raw pings in the background
+let storageMaintenanceRunning = false;
+async function runScheduledStorageMaintenance() {
+    if (storageMaintenanceRunning) return;
+    storageMaintenanceRunning = true;
 
-        let cumulativeDistance = 0;
-        if (previousLocation) {
-            const prevCoords = previousLocation.loc.coordinates;
-            const distance = calculateDistance(
-                prevCoords[1], prevCoords[0], // lat, lng
-                lat, lng
-            );
-            cumulativeDistance = (previousLocation.distance || 0) + distance;
+    try {
+        const { rolledUp, expired, deletedPings } = await runStorageMaintenance();
+        if (rolledUp > 0 || expired > 0) {
+            console.log(`🗄️ Rolled up ${rolledUp} activities, expired raw pings of ${expired} (${deletedPings} pings deleted)`);
         }
+    } catch (error) {
+        console.error('❌ Storage maintenance failed:', error);
+    } finally {
+        storageMaintenanceRunning = false;
+    }
+}
 
-        // Create new location record
-        const location = new LocationPing({
-            meta: {
-                activityId,
-                runnerId
-            },
-            ts: new Date(),
-            loc: {
-                type: 'Point',
-                coordinates: [lng, lat] // MongoDB expects [lng, lat]
-            },
-            accuracy: accuracy || 10,
-            elevM: altitude,
-            speedMps: speed,
-            heading: heading,
-            distance: cumulativeDistance,
-            heartRate: heartRate,
-            cadence: cadence,
-            temperature: temperature,
-            humidity: humidity
-        });
+function startStorageMaintenance() {
+    const timer = setInterval(runScheduledStorageMaintenance, STORAGE_CONFIG.maintenanceIntervalSec * 1000);
+    timer.unref();
+    console.log(`🗄️ Storage maintenance running every ${STORAGE_CONFIG.maintenanceIntervalSec}s (raw pings kept ${STORAGE_CONFIG.rawRetentionDays} days)`);
+}
 
-        await location.save();
+// Finish activity (runner crossed the line)
+app.post('/api/runner/:runnerId/activity/:activityId/finish', async (req, res) => {
+    try {
+        const { runnerId, activityId } = req.params;
 
-        // Update race stats
-        const activity = await Activity.findById(activityId);
-        if (activity && activity.startedAt) {
-            const elapsedTime = Math.floor((Date.now() - activity.startedAt) / 1000);
-            const currentPace = calculatePace(elapsedTime, cumulativeDistance * 1000); // Convert km to meters
-            
-            // Note: RaceStats model doesn't exist, so we'll skip this for now
-            console.log(`📊 Race stats - Distance: ${cumulativeDistance}km, Time: ${elapsedTime}s, Pace: ${currentPace}s/km`);
+        if (!validateId(runnerId) || !validateId(activityId)) {
+            return res.status(400).json({ error: 'Invalid ID format' });
         }
 
-        // Notify connected clients
-        io.to(`${runnerId}-${activityId}`).emit('location-update', {
+        const activity = await Activity.findOne({ _id: activityId, runnerId }).select('+runnerToken');
+        if (!activity) {
+            return res.status(404).json({ error: 'Runner or activity not found' });
+        }
+
+        // The live map URL holds both IDs, so only the runner's token can change the race's state
+        const access = checkRunnerAccess(activity.runnerToken, req.body.token || req.query.token);
+        if (!access.allowed) {
+            return res.status(403).json({ error: access.error });
+        }
+
+        if (!['active', 'paused'].includes(activity.status)) {
+            return res.status(409).json({
+                error: `Cannot finish an activity that is ${activity.status}`,
+                status: activity.status
+            });
+        }
+
+        closeOutActivity(activity, 'finished', new Date());
+        await activity.save();
+
+        const summary = formatActivityLifecycle(activity);
+        io.to(`${runnerId}-${activityId}`).emit('activity-finished', {
             runnerId,
             activityId,
-            location: {
-                lat,
-                lng,
-                distance: cumulativeDistance,
-                timestamp: location.ts
-            }
+            endTime: activity.endedAt,
+            activity: summary
         });
 
+        console.log(`🏁 Activity finished: ${activityId} in ${formatTime(activity.stats.totalTimeSec || 0)}`);
+
         res.json({
             success: true,
-            message: 'Location updated successfully',
-            distance: cumulativeDistance,
-            timestamp: location.ts
+            message: 'Activity finished successfully',
+            data: { activity: summary }
         });
 
     } catch (error) {
-        console.error('❌ Error updating location:', error);
+        console.error('❌ Error finishing activity:', error);
         res.status(500).json({
-            error: 'Failed to update location',
+            error: 'Failed to finish activity',
             message: error.message
         });
     }
 });
 
-// Get runner data and current location
-app.get('/api/runner/:runnerId/activity/:activityId', async (req, res) => {
+// Pause activity (manual pause from the runner)
+app.post('/api/runner/:runnerId/activity/:activityId/pause', async (req, res) => {
     try {
         const { runnerId, activityId } = req.params;
 
@@ -796,180 +1115,1540 @@ app.get('/api/runner/:runnerId/activity/:activityId', async (req, res) => {
             return res.status(400).json({ error: 'Invalid ID format' });
         }
 
-        // Get activity, user, and event info
-        const activity = await Activity.findById(activityId);
-        const user = await User.findById(runnerId);
-        
-        if (!activity || !user) {
+        const activity = await Activity.findOne({ _id: activityId, runnerId }).select('+runnerToken');
+        if (!activity) {
             return res.status(404).json({ error: 'Runner or activity not found' });
         }
-        
-        const event = await Event.findById(activity.eventId);
-        const latestLocation = await LocationPing.findOne(
-            { 'meta.activityId': activityId, 'meta.runnerId': runnerId },
-            {},
-            { sort: { ts: -1 } }
-        );
 
-        if (!activity || !user) {
-            return res.status(404).json({ error: 'Runner or activity not found' });
+        const access = checkRunnerAccess(activity.runnerToken, req.body.token || req.query.token);
+        if (!access.allowed) {
+            return res.status(403).json({ error: access.error });
         }
 
-        // Calculate current stats
-        let currentStats = {
-            distance: 0,
-            pace: '0:00',
-            heartRate: 0,
-            currentTime: '00:00:00',
-            remaining: 42.2
-        };
-
-        if (activity.startedAt && latestLocation) {
-            const elapsedTime = Math.floor((Date.now() - activity.startedAt) / 1000);
-            const distanceKm = latestLocation.distance || 0;
-            currentStats = {
-                distance: distanceKm,
-                pace: formatTime(calculatePace(elapsedTime, distanceKm * 1000)),
-                heartRate: latestLocation.heartRate || 0,
-                currentTime: formatTime(elapsedTime),
-                remaining: Math.max(0, 42.2 - distanceKm)
-            };
+        if (activity.status !== 'active') {
+            return res.status(409).json({
+                error: `Cannot pause an activity that is ${activity.status}`,
+                status: activity.status
+            });
         }
 
-        res.json({
+        const now = new Date();
+        activity.status = 'paused';
+        activity.pausedAt = now;
+        activity.updatedAt = now;
+        await activity.save();
+
+        const summary = formatActivityLifecycle(activity);
+        io.to(`${runnerId}-${activityId}`).emit('activity-paused', {
             runnerId,
             activityId,
-            runner: {
-                name: user.displayName || 'Unknown Runner',
-                city: user.profile?.city || 'Unknown',
-                country: user.profile?.country || 'Unknown'
-            },
-            event: event ? {
-                name: event.name || 'Custom Run',
-                date: event.date || new Date(),
-                type: event.type || 'custom',
-                location: event.location || null
-            } : null,
-            activity: {
-                raceName: event?.name || 'Custom Run',
-                raceDate: event?.date || new Date(),
-                status: activity.status || 'planned',
-                startTime: activity.startedAt,
-                targetTime: null
-            },
-            currentStats,
-            lastLocation: latestLocation ? {
-                lat: latestLocation.loc.coordinates[1],
-                lng: latestLocation.loc.coordinates[0],
-                timestamp: latestLocation.ts
-            } : null,
-            platform: 'imrunning.live'
+            pausedAt: activity.pausedAt,
+            activity: summary
+        });
+
+        res.json({
+            success: true,
+            message: 'Activity paused successfully',
+            data: { activity: summary }
         });
 
     } catch (error) {
-        console.error('❌ Error getting runner data:', error);
+        console.error('❌ Error pausing activity:', error);
         res.status(500).json({
-            error: 'Failed to get runner data',
+            error: 'Failed to pause activity',
             message: error.message
         });
     }
 });
 
-// Send cheer message
-app.post('/api/runner/:runnerId/activity/:activityId/messages', async (req, res) => {
+// Resume a manually paused activity
+app.post('/api/runner/:runnerId/activity/:activityId/resume', async (req, res) => {
     try {
         const { runnerId, activityId } = req.params;
-        const { sender, message, email, relationship } = req.body;
 
         if (!validateId(runnerId) || !validateId(activityId)) {
             return res.status(400).json({ error: 'Invalid ID format' });
         }
 
-        if (!sender || !message) {
-            return res.status(400).json({ error: 'Sender name and message are required' });
+        const activity = await Activity.findOne({ _id: activityId, runnerId }).select('+runnerToken');
+        if (!activity) {
+            return res.status(404).json({ error: 'Runner or activity not found' });
         }
 
-        // Create cheer message
-        const newCheer = new Cheer({
-            activityId,
-            from: {
-                name: sanitizeInput(sender),
-                ip: getClientIP(req)
-            },
-            message: sanitizeInput(message),
-            createdAt: new Date()
-        });
+        const access = checkRunnerAccess(activity.runnerToken, req.body.token || req.query.token);
+        if (!access.allowed) {
+            return res.status(403).json({ error: access.error });
+        }
 
-        await newCheer.save();
+        if (activity.status !== 'paused') {
+            return res.status(409).json({
+                error: `Cannot resume an activity that is ${activity.status}`,
+                status: activity.status
+            });
+        }
 
-        // Notify connected clients
-        io.to(`${runnerId}-${activityId}`).emit('new-message', {
+        const now = new Date();
+        closeOpenPause(activity, now);
+        activity.status = 'active';
+        activity.updatedAt = now;
+        await activity.save();
+
+        const summary = formatActivityLifecycle(activity);
+        io.to(`${runnerId}-${activityId}`).emit('activity-resumed', {
             runnerId,
             activityId,
-            message: {
-                messageId: newCheer._id,
-                sender: newCheer.from.name,
-                message: newCheer.message,
-                timestamp: newCheer.createdAt
-            }
+            resumedAt: now,
+            activity: summary
         });
 
         res.json({
             success: true,
-            messageId: newCheer._id,
-            sender: newCheer.from.name,
-            message: newCheer.message,
-            timestamp: newCheer.createdAt,
-            runnerId,
-            activityId,
-            platform: 'imrunning.live'
+            message: 'Activity resumed successfully',
+            data: { activity: summary }
         });
 
     } catch (error) {
-        console.error('❌ Error sending message:', error);
+        console.error('❌ Error resuming activity:', error);
         res.status(500).json({
-            error: 'Failed to send message',
+            error: 'Failed to resume activity',
             message: error.message
         });
     }
 });
 
-// Get messages for runner
-app.get('/api/runner/:runnerId/activity/:activityId/messages', async (req, res) => {
+// Cancel activity (DNF or started by mistake)
+app.post('/api/runner/:runnerId/activity/:activityId/cancel', async (req, res) => {
     try {
         const { runnerId, activityId } = req.params;
-        const { limit = 50, offset = 0 } = req.query;
 
         if (!validateId(runnerId) || !validateId(activityId)) {
             return res.status(400).json({ error: 'Invalid ID format' });
         }
 
-        const messages = await Cheer.find(
-            { activityId },
-            { from: 1, message: 1, createdAt: 1 }
-        )
-        .sort({ createdAt: -1 })
-        .limit(parseInt(limit))
-        .skip(parseInt(offset));
+        const activity = await Activity.findOne({ _id: activityId, runnerId }).select('+runnerToken');
+        if (!activity) {
+            return res.status(404).json({ error: 'Runner or activity not found' });
+        }
 
-        // Transform to match expected format
-        const formattedMessages = messages.map(msg => ({
-            messageId: msg._id,
-            sender: msg.from.name,
-            message: msg.message,
-            messageType: 'cheer',
-            createdAt: msg.createdAt
-        }));
+        const access = checkRunnerAccess(activity.runnerToken, req.body.token || req.query.token);
+        if (!access.allowed) {
+            return res.status(403).json({ error: access.error });
+        }
 
-        res.json(formattedMessages);
+        if (ENDED_ACTIVITY_STATUSES.includes(activity.status)) {
+            return res.status(409).json({
+                error: `Cannot cancel an activity that is ${activity.status}`,
+                status: activity.status
+            });
+        }
 
-    } catch (error) {
-        console.error('❌ Error getting messages:', error);
-        res.status(500).json({
-            error: 'Failed to get messages',
-            message: error.message
-        });
-    }
+        closeOutActivity(activity, 'cancelled', new Date());
+        await activity.save();
+
+        const summary = formatActivityLifecycle(activity);
+        io.to(`${runnerId}-${activityId}`).emit('activity-cancelled', {
+            runnerId,
+            activityId,
+            endTime: activity.endedAt,
+            activity: summary
+        });
+
+        res.json({
+            success: true,
+            message: 'Activity cancelled successfully',
+            data: { activity: summary }
+        });
+
+    } catch (error) {
+        console.error('❌ Error cancelling activity:', error);
+        res.status(500).json({
+            error: 'Failed to cancel activity',
+            message: error.message
+        });
+    }
+});
+
+// Stats pushed with every location update (distance in km, pace formatted like the snapshot)
+function formatLiveStats(stats, latestLocation, event, prediction, analytics) {
+    const distanceKm = (stats.distanceMeters || 0) / 1000;
+    const eventDistanceKm = event && event.distance > 0 ? event.distance / 1000 : null;
+    // Position along the course matches the km signs; GPS distance drifts from it
+    const hasCourseDistance = stats.courseDistanceMeters !== undefined && stats.courseDistanceMeters !== null;
+    const courseDistanceKm = hasCourseDistance ? stats.courseDistanceMeters / 1000 : null;
+    // Moving pace ignores aid-station stops; fall back to elapsed pace before any movement
+    const paceSecPerKm = stats.movingPaceSecPerKm || stats.avgPaceSecPerKm;
+    return {
+        distance: distanceKm,
+        distanceMeters: stats.distanceMeters || 0,
+        courseDistance: courseDistanceKm,
+        pace: paceSecPerKm ? formatTime(paceSecPerKm) : '0:00',
+        avgPaceSecPerKm: stats.avgPaceSecPerKm,
+        movingPaceSecPerKm: stats.movingPaceSecPerKm,
+        maxSpeedMps: stats.maxSpeedMps,
+        totalTimeSec: stats.totalTimeSec,
+        elapsedTimeSec: stats.totalTimeSec,
+        movingTimeSec: stats.movingTimeSec || 0,
+        elevation: {
+            gainM: Math.round(stats.elevationGainM || 0),
+            lossM: Math.round(stats.elevationLossM || 0),
+            gradePct: stats.currentGradePct || 0,
+            gradeAdjustedPaceSecPerKm: stats.gradeAdjustedPaceSecPerKm,
+            gradeAdjustedPace: stats.gradeAdjustedPaceSecPerKm ? formatTime(stats.gradeAdjustedPaceSecPerKm) : null
+        },
+        autoPaused: Boolean(stats.autoPaused),
+        autoPausedAt: stats.autoPausedAt,
+        offCourse: Boolean(stats.offCourse),
+        offCourseSince: stats.offCourse ? stats.offCourseSince : null,
+        heartRate: latestLocation?.heartRate || 0,
+        lastPingAt: stats.lastPingAt,
+        remaining: eventDistanceKm !== null
+            ? Math.max(0, eventDistanceKm - (hasCourseDistance ? courseDistanceKm : distanceKm))
+            : null,
+        eventDistance: eventDistanceKm,
+        prediction: prediction || null,
+        analytics: analytics || null
+    };
+}
+
+// Interval the phone should wait before its next ping, from battery and where the runner is on the course
+function getNextPingInterval(activity, event, stats, saved) {
+    const withBattery = saved.filter(ping => typeof ping.battery === 'number');
+    const hasCourseDistance = stats.courseDistanceMeters !== undefined && stats.courseDistanceMeters !== null;
+    const positionMeters = hasCourseDistance ? stats.courseDistanceMeters : (stats.distanceMeters || 0);
+    const totalMeters = event && event.distance > 0 ? event.distance : null;
+
+    return recommendPingInterval({
+        baseSec: activity.settings && activity.settings.pingIntervalSec,
+        battery: withBattery.length > 0 ? withBattery[withBattery.length - 1].battery : undefined,
+        remainingMeters: totalMeters !== null ? Math.max(0, totalMeters - positionMeters) : null,
+        totalMeters,
+        nextCheckpointM: getNextCheckpointDistance(getEventCheckpoints(event), positionMeters),
+        autoPaused: Boolean(stats.autoPaused)
+    });
+}
+
+// Location as shown to supporters - snapped onto the course when it could be matched
+function formatLocation(ping) {
+    const snapped = Boolean(ping.course && ping.course.matched);
+    const [lng, lat] = snapped ? ping.course.coordinates : ping.loc.coordinates;
+    return {
+        lat,
+        lng,
+        distance: (ping.distance || 0) / 1000,
+        courseDistance: snapped ? ping.course.distance / 1000 : null,
+        onCourse: ping.course ? snapped : null,
+        timestamp: ping.ts
+    };
+}
+
+// Location from a per-minute rollup, for activities whose raw pings expired
+function formatRollupLocation(rollup) {
+    if (!rollup) return null;
+    const [lng, lat] = rollup.loc.coordinates;
+    return {
+        lat,
+        lng,
+        distance: (rollup.endDistance || 0) / 1000,
+        courseDistance: rollup.courseDistance !== undefined ? rollup.courseDistance / 1000 : null,
+        onCourse: null,
+        timestamp: rollup.lastTs
+    };
+}
+
+// Split as returned by the splits endpoint and split-completed events
+function formatSplit(split, unit) {
+    return {
+        unit,
+        index: split.index,
+        distanceMeters: split.distanceMeters,
+        splitSec: split.splitSec,
+        splitTime: formatTime(split.splitSec),
+        elapsedSec: split.elapsedSec,
+        elapsedTime: formatTime(split.elapsedSec),
+        at: split.at,
+        elevationGainM: split.elevationGainM !== undefined ? Math.round(split.elevationGainM) : null,
+        elevationLossM: split.elevationLossM !== undefined ? Math.round(split.elevationLossM) : null,
+        gradeAdjustedPaceSecPerKm: split.gradeAdjustedPaceSecPerKm,
+        gradeAdjustedPace: split.gradeAdjustedPaceSecPerKm ? formatTime(split.gradeAdjustedPaceSecPerKm) : null
+    };
+}
+
+// Checkpoint passage as returned by the checkpoints endpoint and checkpoint-reached events
+function formatCheckpointPassage(passage) {
+    return {
+        checkpointId: passage.checkpointId,
+        name: passage.name,
+        distanceMeters: passage.distanceMeters,
+        at: passage.at,
+        elapsedSec: passage.elapsedSec,
+        elapsedTime: formatTime(passage.elapsedSec),
+        splitSec: passage.splitSec,
+        splitTime: formatTime(passage.splitSec),
+        method: passage.method
+    };
+}
+
+// Tell supporters the phone is back after the watchdog reported it lost
+function emitSignalRestored(runnerId, activityId, result) {
+    if (!result.signal || !result.signal.restored) return;
+
+    const restoredAt = result.saved[result.saved.length - 1].ts;
+    console.log(`📶 Signal restored for ${activityId}`);
+    io.to(`${runnerId}-${activityId}`).emit('runner-signal-restored', {
+        runnerId,
+        activityId,
+        lostAt: result.signal.lostAt,
+        restoredAt,
+        location: result.latest ? formatLocation(result.latest) : null
+    });
+}
+
+// Socket events derived from an ingested upload (besides location-update itself)
+function emitTrackingEvents(runnerId, activityId, result) {
+    const room = `${runnerId}-${activityId}`;
+
+    (result.checkpoints || []).forEach(passage => {
+        console.log(`📍 ${activityId} reached ${passage.name} at ${formatTime(passage.elapsedSec)}`);
+        io.to(room).emit('checkpoint-reached', {
+            runnerId,
+            activityId,
+            checkpoint: formatCheckpointPassage(passage)
+        });
+    });
+
+    // Geofence alerts fire when the runner leaves or comes back, not on every fix outside
+    if (result.geofence && result.geofence.changed && result.latest) {
+        const { offCourse, since, reason } = result.geofence;
+        console.log(offCourse
+            ? `🚧 ${activityId} left the event area (${reason})`
+            : `✅ ${activityId} is back on course`);
+        io.to(room).emit(offCourse ? 'off-course' : 'back-on-course', {
+            runnerId,
+            activityId,
+            offCourse,
+            since,
+            reason,
+            offsetM: result.latest.course ? result.latest.course.offsetM : undefined,
+            location: formatLocation(result.latest)
+        });
+    }
+
+    Object.entries(result.splits || {}).forEach(([unit, splits]) => {
+        splits.forEach(split => {
+            io.to(room).emit('split-completed', {
+                runnerId,
+                activityId,
+                split: formatSplit(split, unit)
+            });
+        });
+    });
+}
+
+// Update runner location (from mobile app)
+app.post('/api/runner/:runnerId/activity/:activityId/location', async (req, res) => {
+    try {
+        const { runnerId, activityId } = req.params;
+
+        if (!validateId(runnerId) || !validateId(activityId)) {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+
+        const { ping, error } = parseLocationPing(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const activity = await Activity.findOne({ _id: activityId, runnerId });
+        if (!activity) {
+            return res.status(404).json({ error: 'Runner or activity not found' });
+        }
+
+        if (ENDED_ACTIVITY_STATUSES.includes(activity.status)) {
+            return res.status(409).json({
+                error: `Activity is ${activity.status} and no longer accepts location updates`,
+                status: activity.status
+            });
+        }
+
+        // Distance covered during a pause doesn't count until the runner resumes
+        if (activity.status === 'paused') {
+            return res.status(409).json({
+                error: 'Activity is paused - resume it before sending location updates',
+                status: activity.status
+            });
+        }
+
+        const event = await Event.findById(activity.eventId);
+        const user = await User.findById(runnerId, { preferences: 1 });
+
+        const ingested = await ingestLocationPings(activity, [ping], event);
+        emitSignalRestored(runnerId, activityId, ingested);
+        const { distanceMeters, latest: location, rejected, stats } = ingested;
+        const prediction = await buildFinishPrediction(activity, stats, event, location);
+        const analytics = await getRollingAnalytics(activityId, getHeartRateProfile(user), location);
+        const liveStats = formatLiveStats(stats, location, event, prediction, analytics);
+        const pingInterval = getNextPingInterval(activity, event, stats, ingested.saved);
+
+        // A retried upload of a ping that is already stored
+        if (ingested.saved.length === 0) {
+            return res.json({
+                success: true,
+                accepted: false,
+                duplicate: true,
+                message: 'Location already received',
+                distance: distanceMeters / 1000,
+                distanceMeters,
+                stats: liveStats,
+                nextPingIntervalSec: pingInterval.intervalSec,
+                pingIntervalReason: pingInterval.reason
+            });
+        }
+
+        // Filtered fixes are kept for diagnostics but not shown to supporters
+        if (!location) {
+            return res.json({
+                success: true,
+                accepted: false,
+                reason: rejected[0].filter.reason,
+                message: 'Location stored but rejected by GPS filter',
+                distance: distanceMeters / 1000,
+                distanceMeters,
+                timestamp: rejected[0].ts,
+                stats: liveStats,
+                nextPingIntervalSec: pingInterval.intervalSec,
+                pingIntervalReason: pingInterval.reason
+            });
+        }
+
+        // Notify connected clients
+        io.to(`${runnerId}-${activityId}`).emit('location-update', {
+            runnerId,
+            activityId,
+            location: formatLocation(location),
+            reordered: ingested.reordered,
+            stats: liveStats
+        });
+        emitTrackingEvents(runnerId, activityId, ingested);
+
+        res.json({
+            success: true,
+            accepted: true,
+            message: 'Location updated successfully',
+            reordered: ingested.reordered,
+            distance: distanceMeters / 1000,
+            distanceMeters,
+            timestamp: location.ts,
+            stats: liveStats,
+            nextPingIntervalSec: pingInterval.intervalSec,
+            pingIntervalReason: pingInterval.reason
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating location:', error);
+        res.status(500).json({
+            error: 'Failed to update location',
+            message: error.message
+        });
+    }
+});
+
+// Upload a batch of buffered locations (from mobile app after losing signal)
+app.post('/api/runner/:runnerId/activity/:activityId/location/batch', async (req, res) => {
+    try {
+        const { runnerId, activityId } = req.params;
+        const { pings: rawPings } = req.body;
+
+        if (!validateId(runnerId) || !validateId(activityId)) {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+
+        if (!Array.isArray(rawPings) || rawPings.length === 0) {
+            return res.status(400).json({ error: 'pings must be a non-empty array' });
+        }
+
+        if (rawPings.length > MAX_BATCH_SIZE) {
+            return res.status(400).json({
+                error: `Too many pings in one batch (max ${MAX_BATCH_SIZE})`,
+                maxBatchSize: MAX_BATCH_SIZE
+            });
+        }
+
+        // Every ping in a batch must carry its device timestamp
+        const now = new Date();
+        const pings = [];
+        for (let i = 0; i < rawPings.length; i++) {
+            if (!rawPings[i] || rawPings[i].timestamp === undefined) {
+                return res.status(400).json({ error: 'Each ping requires a timestamp', index: i });
+            }
+
+            const { ping, error } = parseLocationPing(rawPings[i], now);
+            if (error) {
+                return res.status(400).json({ error, index: i });
+            }
+            pings.push(ping);
+        }
+
+        const activity = await Activity.findOne({ _id: activityId, runnerId });
+        if (!activity) {
+            return res.status(404).json({ error: 'Runner or activity not found' });
+        }
+
+        if (ENDED_ACTIVITY_STATUSES.includes(activity.status)) {
+            return res.status(409).json({
+                error: `Activity is ${activity.status} and no longer accepts location updates`,
+                status: activity.status
+            });
+        }
+
+        // Distance covered during a pause doesn't count until the runner resumes
+        if (activity.status === 'paused') {
+            return res.status(409).json({
+                error: 'Activity is paused - resume it before sending location updates',
+                status: activity.status
+            });
+        }
+
+        const event = await Event.findById(activity.eventId);
+        const user = await User.findById(runnerId, { preferences: 1 });
+
+        const ingested = await ingestLocationPings(activity, pings, event);
+        emitSignalRestored(runnerId, activityId, ingested);
+        const { saved, accepted, rejected, duplicates, reordered, distanceMeters, latest, stats } = ingested;
+        const prediction = await buildFinishPrediction(activity, stats, event, latest);
+        const analytics = await getRollingAnalytics(activityId, getHeartRateProfile(user), latest);
+        const liveStats = formatLiveStats(stats, latest, event, prediction, analytics);
+        const pingInterval = getNextPingInterval(activity, event, stats, saved);
+
+        console.log(`📦 Stored batch of ${saved.length} locations for ${activityId} (${rejected.length} filtered, ${duplicates} duplicates)`);
+
+        if (!latest) {
+            return res.json({
+                success: true,
+                message: saved.length === 0
+                    ? 'Location batch already received'
+                    : 'Location batch stored but every fix was rejected by GPS filter',
+                received: saved.length,
+                accepted: 0,
+                rejected: rejected.length,
+                duplicates,
+                distance: distanceMeters / 1000,
+                distanceMeters,
+                stats: liveStats,
+                nextPingIntervalSec: pingInterval.intervalSec,
+                pingIntervalReason: pingInterval.reason
+            });
+        }
+
+        // Notify connected clients once for the whole batch
+        io.to(`${runnerId}-${activityId}`).emit('location-update', {
+            runnerId,
+            activityId,
+            location: formatLocation(latest),
+            points: accepted.map(formatLocation),
+            reordered,
+            stats: liveStats
+        });
+        emitTrackingEvents(runnerId, activityId, ingested);
+
+        res.json({
+            success: true,
+            message: 'Location batch stored successfully',
+            received: saved.length,
+            accepted: accepted.length,
+            rejected: rejected.length,
+            duplicates,
+            reordered,
+            distance: distanceMeters / 1000,
+            distanceMeters,
+            timestamp: latest.ts,
+            stats: liveStats,
+            nextPingIntervalSec: pingInterval.intervalSec,
+            pingIntervalReason: pingInterval.reason
+        });
+
+    } catch (error) {
+        console.error('❌ Error storing location batch:', error);
+        res.status(500).json({
+            error: 'Failed to store location batch',
+            message: error.message
+        });
+    }
+});
+
+// Get km or mile splits for an activity
+app.get('/api/runner/:runnerId/activity/:activityId/splits', async (req, res) => {
+    try {
+        const { runnerId, activityId } = req.params;
+        const { unit = 'km' } = req.query;
+
+        if (!validateId(runnerId) || !validateId(activityId)) {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+
+        if (!SPLIT_UNITS[unit]) {
+            return res.status(400).json({
+                error: 'Invalid split unit',
+                allowed: Object.keys(SPLIT_UNITS)
+            });
+        }
+
+        const activity = await Activity.findOne({ _id: activityId, runnerId }, { splits: 1 });
+        if (!activity) {
+            return res.status(404).json({ error: 'Runner or activity not found' });
+        }
+
+        const splits = (activity.splits && activity.splits[unit]) || [];
+
+        res.json({
+            runnerId,
+            activityId,
+            unit,
+            unitMeters: SPLIT_UNITS[unit],
+            count: splits.length,
+            splits: splits.map(split => formatSplit(split, unit))
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting splits:', error);
+        res.status(500).json({
+            error: 'Failed to get splits',
+            message: error.message
+        });
+    }
+});
+
+// Full track history, simplified to a point budget
+app.get('/api/runner/:runnerId/activity/:activityId/track', async (req, res) => {
+    try {
+        const { runnerId, activityId } = req.params;
+        const { encoding = 'json' } = req.query;
+        const maxPoints = req.query.maxPoints !== undefined ? Number(req.query.maxPoints) : TRACK_CONFIG.defaultMaxPoints;
+
+        if (!validateId(runnerId) || !validateId(activityId)) {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+
+        if (!Number.isInteger(maxPoints) || maxPoints < 2 || maxPoints > TRACK_CONFIG.maxPoints) {
+            return res.status(400).json({ error: `maxPoints must be an integer between 2 and ${TRACK_CONFIG.maxPoints}` });
+        }
+
+        if (!['json', 'polyline'].includes(encoding)) {
+            return res.status(400).json({
+                error: 'Invalid encoding',
+                allowed: ['json', 'polyline']
+            });
+        }
+
+        const activity = await Activity.findOne({ _id: activityId, runnerId }, { _id: 1, storage: 1 });
+        if (!activity) {
+            return res.status(404).json({ error: 'Runner or activity not found' });
+        }
+
+        // Once raw pings have expired the per-minute rollups are all that's left
+        const rawExpired = Boolean(activity.storage && activity.storage.rawExpiredAt);
+        const track = rawExpired
+            ? await getRollupTrack(activityId, runnerId)
+            : await getActivityTrack(activityId, runnerId);
+        const simplified = simplifyTrack(track, maxPoints);
+
+        const response = {
+            runnerId,
+            activityId,
+            resolution: rawExpired ? 'minute' : 'raw',
+            totalPoints: track.length,
+            count: simplified.length,
+            maxPoints,
+            encoding,
+            startTime: track.length > 0 ? track[0].ts : null,
+            endTime: track.length > 0 ? track[track.length - 1].ts : null
+        };
+
+        if (encoding === 'polyline') {
+            response.polyline = encodePolyline(simplified);
+        } else {
+            response.points = simplified.map(point => ({
+                lat: point.lat,
+                lng: point.lng,
+                distance: point.distance / 1000,
+                timestamp: point.ts
+            }));
+        }
+
+        res.json(response);
+
+    } catch (error) {
+        console.error('❌ Error getting track:', error);
+        res.status(500).json({
+            error: 'Failed to get track',
+            message: error.message
+        });
+    }
+});
+
+// Per-minute summaries of the activity (kept after raw pings expire)
+app.get('/api/runner/:runnerId/activity/:activityId/rollups', async (req, res) => {
+    try {
+        const { runnerId, activityId } = req.params;
+
+        if (!validateId(runnerId) || !validateId(activityId)) {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+
+        const activity = await Activity.findOne({ _id: activityId, runnerId }, { _id: 1, storage: 1 });
+        if (!activity) {
+            return res.status(404).json({ error: 'Runner or activity not found' });
+        }
+
+        const rollups = await LocationRollup.find(
+            { 'meta.activityId': activityId, 'meta.runnerId': runnerId },
+            {},
+            { sort: { minute: 1 } }
+        ).lean();
+
+        res.json({
+            runnerId,
+            activityId,
+            rolledUpAt: activity.storage ? activity.storage.rolledUpAt : null,
+            rawExpiredAt: activity.storage ? activity.storage.rawExpiredAt : null,
+            count: rollups.length,
+            rollups: rollups.map(rollup => ({
+                minute: rollup.minute,
+                pings: rollup.pings,
+                accepted: rollup.accepted,
+                distance: rollup.endDistance !== undefined ? rollup.endDistance / 1000 : null,
+                courseDistance: rollup.courseDistance !== undefined ? rollup.courseDistance / 1000 : null,
+                lat: rollup.loc && rollup.loc.coordinates.length === 2 ? rollup.loc.coordinates[1] : null,
+                lng: rollup.loc && rollup.loc.coordinates.length === 2 ? rollup.loc.coordinates[0] : null,
+                avgSpeedMps: rollup.avgSpeedMps,
+                maxSpeedMps: rollup.maxSpeedMps,
+                elevM: rollup.elevM,
+                heartRate: rollup.heartRate || null,
+                cadence: rollup.cadence || null,
+                battery: rollup.battery
+            }))
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting rollups:', error);
+        res.status(500).json({
+            error: 'Failed to get rollups',
+            message: error.message
+        });
+    }
+});
+
+// Download the activity as GPX, TCX or GeoJSON (subject to share settings)
+app.get('/api/runner/:runnerId/activity/:activityId/export/:format', async (req, res) => {
+    try {
+        const { runnerId, activityId, format } = req.params;
+        const { token } = req.query;
+
+        if (!validateId(runnerId) || !validateId(activityId)) {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+
+        if (!EXPORT_FORMATS[format]) {
+            return res.status(400).json({
+                error: 'Invalid export format',
+                allowed: Object.keys(EXPORT_FORMATS)
+            });
+        }
+
+        const bounds = {};
+        for (const key of ['from', 'to']) {
+            if (req.query[key] !== undefined) {
+                bounds[key] = new Date(req.query[key]);
+                if (isNaN(bounds[key].getTime())) {
+                    return res.status(400).json({ error: `Invalid ${key} timestamp` });
+                }
+            }
+        }
+
+        const activity = await Activity.findOne({ _id: activityId, runnerId });
+        if (!activity) {
+            return res.status(404).json({ error: 'Runner or activity not found' });
+        }
+
+        const access = checkShareAccess(activity.share, token);
+        if (!access.allowed) {
+            return res.status(403).json({ error: access.error });
+        }
+
+        if (activity.storage && activity.storage.rawExpiredAt) {
+            return res.status(410).json({
+                error: 'Raw location data for this activity has expired',
+                expiredAt: activity.storage.rawExpiredAt
+            });
+        }
+
+        const user = await User.findById(runnerId);
+        const event = await Event.findById(activity.eventId);
+        const pings = await getExportPings(activity, bounds);
+        const details = {
+            activity,
+            name: `${user?.displayName || 'Runner'} - ${event?.name || 'Custom Run'}`
+        };
+
+        let body;
+        if (format === 'gpx') {
+            body = buildGpx(details, pings);
+        } else if (format === 'tcx') {
+            body = buildTcx(details, pings);
+        } else {
+            body = JSON.stringify(buildGeoJson(details, pings), null, 2);
+        }
+
+        console.log(`📤 Exported ${pings.length} points of ${activityId} as ${format}`);
+
+        res.set('Content-Type', `${EXPORT_FORMATS[format].contentType}; charset=utf-8`);
+        res.set('Content-Disposition', `attachment; filename="${activityId}.${EXPORT_FORMATS[format].extension}"`);
+        res.send(body);
+
+    } catch (error) {
+        console.error('❌ Error exporting activity:', error);
+        res.status(500).json({
+            error: 'Failed to export activity',
+            message: error.message
+        });
+    }
+});
+
+// Heart rate zone and cadence analytics for the whole activity
+app.get('/api/runner/:runnerId/activity/:activityId/analytics', async (req, res) => {
+    try {
+        const { runnerId, activityId } = req.params;
+
+        if (!validateId(runnerId) || !validateId(activityId)) {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+
+        const activity = await Activity.findOne({ _id: activityId, runnerId }, { runnerId: 1 });
+        if (!activity) {
+            return res.status(404).json({ error: 'Runner or activity not found' });
+        }
+
+        const user = await User.findById(runnerId, { preferences: 1 });
+        const analytics = await getActivityAnalytics(activity, getHeartRateProfile(user));
+
+        res.json({
+            runnerId,
+            activityId,
+            ...analytics
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting analytics:', error);
+        res.status(500).json({
+            error: 'Failed to get analytics',
+            message: error.message
+        });
+    }
+});
+
+// Event checkpoints with the activity's passage times
+app.get('/api/runner/:runnerId/activity/:activityId/checkpoints', async (req, res) => {
+    try {
+        const { runnerId, activityId } = req.params;
+
+        if (!validateId(runnerId) || !validateId(activityId)) {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+
+        const activity = await Activity.findOne({ _id: activityId, runnerId }, { eventId: 1, checkpoints: 1 });
+        if (!activity) {
+            return res.status(404).json({ error: 'Runner or activity not found' });
+        }
+
+        const event = await Event.findById(activity.eventId);
+        const passages = new Map((activity.checkpoints || []).map(p => [p.checkpointId, p]));
+
+        const checkpoints = getEventCheckpoints(event).map(checkpoint => {
+            const passage = passages.get(checkpoint.checkpointId);
+            return {
+                checkpointId: checkpoint.checkpointId,
+                name: checkpoint.name,
+                distanceMeters: checkpoint.distanceMeters,
+                lat: checkpoint.lat,
+                lng: checkpoint.lng,
+                passed: Boolean(passage),
+                passage: passage ? formatCheckpointPassage(passage) : null
+            };
+        });
+
+        res.json({
+            runnerId,
+            activityId,
+            count: checkpoints.length,
+            passed: passages.size,
+            checkpoints
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting checkpoints:', error);
+        res.status(500).json({
+            error: 'Failed to get checkpoints',
+            message: error.message
+        });
+    }
+});
+
+// GPS filter diagnostics - rejected fixes and why they were dropped
+app.get('/api/runner/:runnerId/activity/:activityId/diagnostics/gps', async (req, res) => {
+    try {
+        const { runnerId, activityId } = req.params;
+        const { limit = 50 } = req.query;
+
+        if (!validateId(runnerId) || !validateId(activityId)) {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+
+        const activity = await Activity.findOne({ _id: activityId, runnerId });
+        if (!activity) {
+            return res.status(404).json({ error: 'Runner or activity not found' });
+        }
+
+        const [received, byReason, recentRejected] = await Promise.all([
+            LocationPing.countDocuments({ 'meta.activityId': activityId }),
+            LocationPing.aggregate([
+                { $match: { 'meta.activityId': activityId, 'filter.rejected': true } },
+                { $group: { _id: '$filter.reason', count: { $sum: 1 } } }
+            ]),
+            LocationPing.find({ 'meta.activityId': activityId, 'filter.rejected': true })
+                .sort({ ts: -1 })
+                .limit(Math.min(parseInt(limit) || 50, 500))
+        ]);
+
+        const rejectedCount = byReason.reduce((sum, r) => sum + r.count, 0);
+
+        res.json({
+            activityId,
+            filter: FILTER_CONFIG,
+            totals: {
+                received,
+                accepted: received - rejectedCount,
+                rejected: rejectedCount,
+                byReason: byReason.reduce((acc, r) => ({ ...acc, [r._id]: r.count }), {})
+            },
+            rejected: recentRejected.map(p => ({
+                lat: p.loc.coordinates[1],
+                lng: p.loc.coordinates[0],
+                accuracy: p.accuracy,
+                reason: p.filter.reason,
+                timestamp: p.ts
+            }))
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting GPS diagnostics:', error);
+        res.status(500).json({
+            error: 'Failed to get GPS diagnostics',
+            message: error.message
+        });
+    }
+});
+
+// Get runner data and current location
+app.get('/api/runner/:runnerId/activity/:activityId', async (req, res) => {
+    try {
+        const { runnerId, activityId } = req.params;
+
+        if (!validateId(runnerId) || !validateId(activityId)) {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+
+        // Get activity, user, and event info
+        const activity = await Activity.findById(activityId);
+        const user = await User.findById(runnerId);
+        
+        if (!activity || !user) {
+            return res.status(404).json({ error: 'Runner or activity not found' });
+        }
+        
+        const event = await Event.findById(activity.eventId);
+        const latestLocation = await LocationPing.findOne(
+            { 'meta.activityId': activityId, 'meta.runnerId': runnerId, 'filter.rejected': { $ne: true } },
+            {},
+            { sort: { ts: -1 } }
+        );
+
+        if (!activity || !user) {
+            return res.status(404).json({ error: 'Runner or activity not found' });
+        }
+
+        // Calculate current stats
+        let currentStats = {
+            distance: 0,
+            pace: '0:00',
+            heartRate: 0,
+            currentTime: '00:00:00',
+            remaining: event && event.distance > 0 ? event.distance / 1000 : null,
+            prediction: null
+        };
+
+        if (activity.startedAt && latestLocation) {
+            const elapsedTime = getActivityElapsedSec(activity);
+            const prediction = await buildFinishPrediction(activity, activity.stats, event, latestLocation);
+            const analytics = await getRollingAnalytics(activityId, getHeartRateProfile(user), latestLocation);
+            currentStats = {
+                ...formatLiveStats(activity.stats, latestLocation, event, prediction, analytics),
+                elapsedTimeSec: elapsedTime,
+                currentTime: formatTime(elapsedTime),
+                movingTime: formatTime(activity.stats.movingTimeSec || 0)
+            };
+        } else if (activity.startedAt && activity.stats && activity.stats.lastPingAt) {
+            // Raw pings have expired (or none was accepted) - the totals are still on the activity
+            const elapsedTime = getActivityElapsedSec(activity);
+            currentStats = {
+                ...formatLiveStats(activity.stats, null, event, null, null),
+                elapsedTimeSec: elapsedTime,
+                currentTime: formatTime(elapsedTime),
+                movingTime: formatTime(activity.stats.movingTimeSec || 0)
+            };
+        }
+
+        // Without raw pings the last per-minute rollup still knows where the runner ended up
+        const lastRollup = latestLocation ? null : await LocationRollup.findOne(
+            { 'meta.activityId': activityId, 'meta.runnerId': runnerId, 'loc.coordinates.1': { $exists: true } },
+            { loc: 1, lastTs: 1, endDistance: 1, courseDistance: 1 },
+            { sort: { minute: -1 } }
+        );
+
+        res.json({
+            runnerId,
+            activityId,
+            runner: {
+                name: user.displayName || 'Unknown Runner',
+                city: user.profile?.city || 'Unknown',
+                country: user.profile?.country || 'Unknown'
+            },
+            event: event ? {
+                name: event.name || 'Custom Run',
+                date: event.date || new Date(),
+                type: event.type || 'custom',
+                distance: event.distance || 0,
+                location: event.location || null,
+                hasCourse: Boolean(event.route?.course?.coordinates?.length)
+            } : null,
+            activity: {
+                raceName: event?.name || 'Custom Run',
+                raceDate: event?.date || new Date(),
+                status: activity.status || 'planned',
+                startTime: activity.startedAt,
+                pausedAt: activity.pausedAt,
+                endTime: activity.endedAt,
+                endReason: activity.endReason,
+                pausedTimeSec: activity.stats?.pausedTimeSec || 0,
+                pauses: activity.pauses || [],
+                targetPaceSecPerKm: activity.settings?.targetPaceSecPerKm,
+                targetTime: activity.settings?.targetPaceSecPerKm && event?.distance > 0
+                    ? formatTime(Math.round(activity.settings.targetPaceSecPerKm * event.distance / 1000))
+                    : null
+            },
+            currentStats,
+            lastLocation: latestLocation ? formatLocation(latestLocation) : formatRollupLocation(lastRollup),
+            // stale: the last location is old enough that the phone has probably lost signal
+            signal: getSignalState(activity),
+            platform: 'imrunning.live'
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting runner data:', error);
+        res.status(500).json({
+            error: 'Failed to get runner data',
+            message: error.message
+        });
+    }
+});
+
+// Cheers held for review (or rejected) are never shown to the runner or spectators
+const VISIBLE_CHEERS = { 'mod.status': { $nin: ['pending', 'rejected'] } };
+
+// Where a voice cheer can be streamed from, null for text cheers
+function getCheerAudioUrl(runnerId, activityId, cheer) {
+    return cheer.audio && cheer.audio.contentType
+        ? `/api/runner/${runnerId}/activity/${activityId}/messages/${cheer._id}/audio`
+        : null;
+}
+
+// Push a cheer to everyone watching the activity
+function emitNewMessage(runnerId, activityId, cheer) {
+    io.to(`${runnerId}-${activityId}`).emit('new-message', {
+        runnerId,
+        activityId,
+        message: {
+            messageId: cheer._id,
+            sender: cheer.from.name,
+            message: cheer.message,
+            audioUrl: getCheerAudioUrl(runnerId, activityId, cheer),
+            trigger: formatCheerTrigger(cheer.trigger),
+            timestamp: cheer.createdAt
+        }
+    });
+}
+
+// Tell everyone watching (including the sender) how far a cheer has got
+function emitCheerReceipt(event, runnerId, activityId, cheer) {
+    io.to(`${runnerId}-${activityId}`).emit(event, {
+        runnerId,
+        activityId,
+        messageId: cheer._id,
+        deliveredAt: cheer.deliveredAt,
+        spokenAt: cheer.spokenAt || null
+    });
+}
+
+/**
+ * Take a cheer from the sender's and address's allowance, answering 429 when either is used up
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} activityId - Activity the cheer is for
+ * @param {string} sender - Sender name
+ * @returns {boolean} True when the request has been answered and the cheer must not be sent
+ */
+function rejectRateLimitedCheer(req, res, activityId, sender) {
+    const rateLimit = takeCheerToken({ ip: getClientIP(req), sender, activityId });
+    if (rateLimit.allowed) return false;
+
+    console.log(`⏳ Cheer rate limited for activity ${activityId} (${rateLimit.limitedBy})`);
+    res.set('Retry-After', String(rateLimit.retryAfterSec));
+    res.status(429).json({
+        error: 'Too many cheers',
+        message: `Please wait ${rateLimit.retryAfterSec}s before sending another cheer`,
+        retryAfterSec: rateLimit.retryAfterSec,
+        limitedBy: rateLimit.limitedBy
+    });
+    return true;
+}
+
+/**
+ * Moderate, store and announce a cheer that passed the rate limit, then answer the request
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} cheer - { runnerId, activityId, sender, message, voiceNote, trigger, activity } where
+ *   voiceNote is the result of validateVoiceNote plus its buffer, for recorded cheers, and
+ *   trigger and activity come from resolveCheerTrigger
+ * @returns {Promise<void>}
+ */
+async function submitCheer(req, res, { runnerId, activityId, sender, message, voiceNote, trigger, activity }) {
+    const ip = getClientIP(req);
+    const sanitizedMessage = sanitizeInput(message);
+
+    // The same cheer sent again from the same address is spam (recordings are never identical)
+    const isDuplicate = !voiceNote && Boolean(await Cheer.exists({
+        activityId,
+        'from.ip': ip,
+        message: sanitizedMessage,
+        createdAt: { $gte: new Date(Date.now() - MODERATION_CONFIG.duplicateWindowSec * 1000) }
+    }));
+
+    const moderation = moderateCheer({ sender, message }, {
+        isDuplicate,
+        holdVoiceNote: Boolean(voiceNote) && !(activity && activity.settings && activity.settings.autoApproveVoiceCheers)
+    });
+
+    // Create cheer message
+    const newCheer = new Cheer({
+        activityId,
+        from: {
+            name: sanitizeInput(sender),
+            ip
+        },
+        message: sanitizedMessage,
+        trigger,
+        createdAt: new Date(),
+        mod: {
+            flagged: moderation.flagged,
+            reason: moderation.reason,
+            matches: moderation.matches,
+            status: moderation.flagged ? 'pending' : 'approved'
+        }
+    });
+
+    if (voiceNote) {
+        newCheer.audio = {
+            file: await saveVoiceNote(newCheer._id, voiceNote.buffer, voiceNote.contentType),
+            contentType: voiceNote.contentType,
+            bytes: voiceNote.buffer.length,
+            durationSec: voiceNote.durationSec
+        };
+    }
+
+    try {
+        await newCheer.save();
+    } catch (error) {
+        if (voiceNote) await deleteVoiceNote(newCheer.audio.file);
+        throw error;
+    }
+
+    if (moderation.flagged) {
+        console.log(`🚩 Cheer ${newCheer._id} held for review: ${moderation.reason}`);
+        return res.status(202).json({
+            success: true,
+            held: true,
+            status: 'pending',
+            messageId: newCheer._id,
+            message: 'Your cheer will be passed on once it has been reviewed',
+            runnerId,
+            activityId,
+            platform: 'imrunning.live'
+        });
+    }
+
+    // Notify connected clients
+    emitNewMessage(runnerId, activityId, newCheer);
+
+    res.json({
+        success: true,
+        messageId: newCheer._id,
+        sender: newCheer.from.name,
+        message: newCheer.message,
+        audioUrl: getCheerAudioUrl(runnerId, activityId, newCheer),
+        trigger: formatCheerTrigger(newCheer.trigger),
+        timestamp: newCheer.createdAt,
+        runnerId,
+        activityId,
+        platform: 'imrunning.live'
+    });
+}
+
+/**
+ * Check the activity exists and validate an optional cheer trigger against its event
+ * @param {string} runnerId - Runner ID
+ * @param {string} activityId - Activity ID
+ * @param {Object|undefined} input - Trigger from the request, if any
+ * @returns {Promise<Object>} { trigger, activity } or { status, error } to respond with
+ */
+async function resolveCheerTrigger(runnerId, activityId, input) {
+    const activity = await Activity.findOne({ _id: activityId, runnerId }, { eventId: 1, settings: 1 });
+    if (!activity) {
+        return { status: 404, error: 'Runner or activity not found' };
+    }
+
+    if (input === undefined || input === null || input === '') {
+        return { trigger: undefined, activity };
+    }
+
+    const event = activity.eventId ? await Event.findById(activity.eventId) : null;
+    const parsed = parseCheerTrigger(input, event);
+    return parsed.error ? { status: 400, error: parsed.error } : { trigger: parsed.trigger, activity };
+}
+
+// Send cheer message
+app.post('/api/runner/:runnerId/activity/:activityId/messages', async (req, res) => {
+    try {
+        const { runnerId, activityId } = req.params;
+        const { sender, message, email, relationship } = req.body;
+
+        if (!validateId(runnerId) || !validateId(activityId)) {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+
+        if (!sender || !message) {
+            return res.status(400).json({ error: 'Sender name and message are required' });
+        }
+
+        let trigger;
+        if (req.body.trigger) {
+            const resolved = await resolveCheerTrigger(runnerId, activityId, req.body.trigger);
+            if (resolved.error) {
+                return res.status(resolved.status).json({ error: resolved.error });
+            }
+            trigger = resolved.trigger;
+        }
+
+        if (rejectRateLimitedCheer(req, res, activityId, sender)) return;
+
+        await submitCheer(req, res, { runnerId, activityId, sender, message, trigger });
+
+    } catch (error) {
+        console.error('❌ Error sending message:', error);
+        res.status(500).json({
+            error: 'Failed to send message',
+            message: error.message
+        });
+    }
+});
+
+// Check the IDs, sender and rate limit before reading the recording, so refused uploads aren't buffered
+function limitVoiceCheer(req, res, next) {
+    const { runnerId, activityId } = req.params;
+
+    if (!validateId(runnerId) || !validateId(activityId)) {
+        return res.status(400).json({ error: 'Invalid ID format' });
+    }
+
+    if (!req.query.sender) {
+        return res.status(400).json({ error: 'Sender name is required' });
+    }
+
+    if (rejectRateLimitedCheer(req, res, activityId, req.query.sender)) return;
+
+    next();
+}
+
+const voiceNoteParser = express.raw({ type: 'audio/*', limit: VOICE_NOTE_CONFIG.maxBytes });
+
+// Read the recording as a buffer, answering oversized uploads in the API's JSON format
+function readVoiceNote(req, res, next) {
+    voiceNoteParser(req, res, (error) => {
+        if (error && error.type === 'entity.too.large') {
+            return res.status(413).json({ error: `Audio must be at most ${Math.round(VOICE_NOTE_CONFIG.maxBytes / 1024)} KB` });
+        }
+        next(error);
+    });
+}
+
+// Send a recorded voice cheer (raw audio body, details in the query string)
+app.post('/api/runner/:runnerId/activity/:activityId/messages/voice', limitVoiceCheer, readVoiceNote, async (req, res) => {
+    try {
+        const { runnerId, activityId } = req.params;
+        const { sender, message, durationSec } = req.query;
+
+        const voiceNote = validateVoiceNote({
+            buffer: req.body,
+            contentType: req.get('Content-Type'),
+            durationSec
+        });
+        if (!voiceNote.valid) {
+            return res.status(400).json({ error: voiceNote.error });
+        }
+
+        // The body is the recording, so a trigger comes as JSON in the query string
+        let triggerInput;
+        if (req.query.trigger) {
+            try {
+                triggerInput = JSON.parse(req.query.trigger);
+            } catch (error) {
+                return res.status(400).json({ error: 'trigger must be JSON' });
+            }
+        }
+
+        const resolved = await resolveCheerTrigger(runnerId, activityId, triggerInput);
+        if (resolved.error) {
+            return res.status(resolved.status).json({ error: resolved.error });
+        }
+
+        await submitCheer(req, res, {
+            runnerId,
+            activityId,
+            sender,
+            message: message || '🎤 Voice cheer',
+            voiceNote: { ...voiceNote, buffer: req.body },
+            trigger: resolved.trigger,
+            activity: resolved.activity
+        });
+
+    } catch (error) {
+        console.error('❌ Error sending voice cheer:', error);
+        res.status(500).json({
+            error: 'Failed to send voice cheer',
+            message: error.message
+        });
+    }
+});
+
+// Stream a voice cheer (held ones only to the runner)
+app.get('/api/runner/:runnerId/activity/:activityId/messages/:messageId/audio', async (req, res) => {
+    try {
+        const { runnerId, activityId, messageId } = req.params;
+
+        if (!validateId(runnerId) || !validateId(activityId) || !validateMessageId(messageId)) {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+
+        const cheer = await Cheer.findOne(
+            { _id: messageId, activityId, 'audio.file': { $exists: true } },
+            { audio: 1, mod: 1 }
+        );
+        if (!cheer) {
+            return res.status(404).json({ error: 'Voice cheer not found' });
+        }
+
+        if (['pending', 'rejected'].includes(cheer.mod.status)) {
+            const activity = await Activity.findOne({ _id: activityId, runnerId }, { runnerToken: 1 });
+            const access = checkRunnerAccess(activity && activity.runnerToken, req.query.token);
+            if (!access.allowed) {
+                return res.status(403).json({ error: access.error });
+            }
+        }
+
+        res.type(cheer.audio.contentType);
+        res.sendFile(getVoiceNotePath(cheer.audio.file), (error) => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ error: 'Voice cheer audio is no longer available' });
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error streaming voice cheer:', error);
+        res.status(500).json({
+            error: 'Failed to stream voice cheer',
+            message: error.message
+        });
+    }
+});
+
+// Get messages for runner
+app.get('/api/runner/:runnerId/activity/:activityId/messages', async (req, res) => {
+    try {
+        const { runnerId, activityId } = req.params;
+        const { limit = 50, offset = 0 } = req.query;
+
+        if (!validateId(runnerId) || !validateId(activityId)) {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+
+        const messages = await Cheer.find(
+            { activityId, ...VISIBLE_CHEERS },
+            { from: 1, message: 1, audio: 1, trigger: 1, createdAt: 1, deliveredAt: 1, spokenAt: 1 }
+        )
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip(parseInt(offset));
+
+        // Transform to match expected format
+        const formattedMessages = messages.map(msg => ({
+            messageId: msg._id,
+            sender: msg.from.name,
+            message: msg.message,
+            messageType: msg.audio && msg.audio.contentType ? 'voice' : 'cheer',
+            audioUrl: getCheerAudioUrl(runnerId, activityId, msg),
+            trigger: formatCheerTrigger(msg.trigger),
+            createdAt: msg.createdAt,
+            deliveredAt: msg.deliveredAt || null,
+            spokenAt: msg.spokenAt || null
+        }));
+
+        res.json(formattedMessages);
+
+    } catch (error) {
+        console.error('❌ Error getting messages:', error);
+        res.status(500).json({
+            error: 'Failed to get messages',
+            message: error.message
+        });
+    }
+});
+
+// Flagged cheers for the runner to review
+app.get('/api/runner/:runnerId/activity/:activityId/messages/review', async (req, res) => {
+    try {
+        const { runnerId, activityId } = req.params;
+        const { token, status = 'pending' } = req.query;
+
+        if (!validateId(runnerId) || !validateId(activityId)) {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+
+        if (!['pending', 'approved', 'rejected'].includes(status)) {
+            return res.status(400).json({ error: 'Status must be pending, approved or rejected' });
+        }
+
+        const activity = await Activity.findOne({ _id: activityId, runnerId }, { runnerToken: 1 });
+        if (!activity) {
+            return res.status(404).json({ error: 'Runner or activity not found' });
+        }
+
+        const access = checkRunnerAccess(activity.runnerToken, token);
+        if (!access.allowed) {
+            return res.status(403).json({ error: access.error });
+        }
+
+        const messages = await Cheer.find(
+            { activityId, 'mod.flagged': true, 'mod.status': status },
+            { from: 1, message: 1, audio: 1, createdAt: 1, mod: 1 }
+        )
+        .sort({ createdAt: 1 })
+        .limit(100);
+
+        res.json({
+            runnerId,
+            activityId,
+            status,
+            messages: messages.map(msg => ({
+                messageId: msg._id,
+                sender: msg.from.name,
+                message: msg.message,
+                createdAt: msg.createdAt,
+                reason: msg.mod.reason,
+                matches: msg.mod.matches,
+                audioUrl: getCheerAudioUrl(runnerId, activityId, msg),
+                status: msg.mod.status,
+                reviewedAt: msg.mod.reviewedAt
+            }))
+        });
+
+    } catch (error) {
+        console.error('❌ Error getting cheers for review:', error);
+        res.status(500).json({
+            error: 'Failed to get cheers for review',
+            message: error.message
+        });
+    }
+});
+
+// Approve or reject a held cheer
+app.post('/api/runner/:runnerId/activity/:activityId/messages/:messageId/:decision(approve|reject)', async (req, res) => {
+    try {
+        const { runnerId, activityId, messageId, decision } = req.params;
+        const token = req.body.token || req.query.token;
+
+        if (!validateId(runnerId) || !validateId(activityId) || !validateMessageId(messageId)) {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+
+        const activity = await Activity.findOne({ _id: activityId, runnerId }, { runnerToken: 1 });
+        if (!activity) {
+            return res.status(404).json({ error: 'Runner or activity not found' });
+        }
+
+        const access = checkRunnerAccess(activity.runnerToken, token);
+        if (!access.allowed) {
+            return res.status(403).json({ error: access.error });
+        }
+
+        const status = decision === 'approve' ? 'approved' : 'rejected';
+
+        // Only a pending cheer can be decided, so two reviewers can't both release it
+        const cheer = await Cheer.findOneAndUpdate(
+            { _id: messageId, activityId, 'mod.status': 'pending' },
+            { $set: { 'mod.status': status, 'mod.reviewedAt': new Date() } },
+            { new: true }
+        );
+
+        if (!cheer) {
+            const existing = await Cheer.findOne({ _id: messageId, activityId }, { mod: 1 });
+            if (!existing) {
+                return res.status(404).json({ error: 'Message not found' });
+            }
+            return res.status(409).json({
+                error: 'Message is not awaiting review',
+                status: existing.mod.status
+            });
+        }
+
+        if (status === 'approved') {
+            emitNewMessage(runnerId, activityId, cheer);
+        } else if (cheer.audio && cheer.audio.file) {
+            await deleteVoiceNote(cheer.audio.file);
+        }
+
+        console.log(`${status === 'approved' ? '✅' : '🚫'} Cheer ${cheer._id} ${status} for activity ${activityId}`);
+
+        res.json({
+            success: true,
+            messageId: cheer._id,
+            status,
+            reviewedAt: cheer.mod.reviewedAt
+        });
+
+    } catch (error) {
+        console.error('❌ Error reviewing message:', error);
+        res.status(500).json({
+            error: 'Failed to review message',
+            message: error.message
+        });
+    }
 });
 
 // Mark message as announced (for mobile app)
@@ -977,18 +2656,24 @@ app.post('/api/runner/:runnerId/activity/:activityId/messages/:messageId/announc
     try {
         const { runnerId, activityId, messageId } = req.params;
 
-        if (!validateId(runnerId) || !validateId(activityId)) {
+        if (!validateId(runnerId) || !validateId(activityId) || !validateMessageId(messageId)) {
             return res.status(400).json({ error: 'Invalid ID format' });
         }
 
-        const message = await Cheer.findOneAndUpdate(
-            { _id: messageId, activityId },
-            { 
-                deliveredAt: new Date()
-            },
+        // Only the first fetch counts as delivery, so a retried request doesn't announce it twice.
+        // Held and rejected cheers never reach the runner, so supporters get no receipt for them
+        let message = await Cheer.findOneAndUpdate(
+            { _id: messageId, activityId, deliveredAt: { $exists: false }, ...VISIBLE_CHEERS },
+            { deliveredAt: new Date() },
             { new: true }
         );
 
+        if (message) {
+            emitCheerReceipt('cheer-delivered', runnerId, activityId, message);
+        } else {
+            message = await Cheer.findOne({ _id: messageId, activityId, ...VISIBLE_CHEERS }, { deliveredAt: 1 });
+        }
+
         if (!message) {
             return res.status(404).json({ error: 'Message not found' });
         }
@@ -996,7 +2681,8 @@ app.post('/api/runner/:runnerId/activity/:activityId/messages/:messageId/announc
         res.json({
             success: true,
             message: 'Message marked as announced',
-            messageId: message.messageId
+            messageId: message._id,
+            deliveredAt: message.deliveredAt
         });
 
     } catch (error) {
@@ -1008,6 +2694,63 @@ app.post('/api/runner/:runnerId/activity/:activityId/messages/:messageId/announc
     }
 });
 
+// Mark message as spoken once the device has read it out
+app.post('/api/runner/:runnerId/activity/:activityId/messages/:messageId/spoken', async (req, res) => {
+    try {
+        const { runnerId, activityId, messageId } = req.params;
+
+        if (!validateId(runnerId) || !validateId(activityId) || !validateMessageId(messageId)) {
+            return res.status(400).json({ error: 'Invalid ID format' });
+        }
+
+        const now = new Date();
+        const previous = await Cheer.findOneAndUpdate(
+            { _id: messageId, activityId, spokenAt: { $exists: false }, ...VISIBLE_CHEERS },
+            { $set: { spokenAt: now } },
+            { new: false, projection: { deliveredAt: 1 } }
+        );
+
+        if (!previous) {
+            const existing = await Cheer.findOne({ _id: messageId, activityId, ...VISIBLE_CHEERS }, { deliveredAt: 1, spokenAt: 1 });
+            if (!existing) {
+                return res.status(404).json({ error: 'Message not found' });
+            }
+            return res.json({
+                success: true,
+                message: 'Message already marked as spoken',
+                messageId: existing._id,
+                deliveredAt: existing.deliveredAt,
+                spokenAt: existing.spokenAt
+            });
+        }
+
+        // A message can't be heard without being fetched, even if the announce call was lost
+        let deliveredAt = previous.deliveredAt;
+        if (!deliveredAt) {
+            deliveredAt = now;
+            await Cheer.updateOne({ _id: messageId, deliveredAt: { $exists: false } }, { $set: { deliveredAt } });
+            emitCheerReceipt('cheer-delivered', runnerId, activityId, { _id: previous._id, deliveredAt });
+        }
+
+        emitCheerReceipt('cheer-spoken', runnerId, activityId, { _id: previous._id, deliveredAt, spokenAt: now });
+
+        res.json({
+            success: true,
+            message: 'Message marked as spoken',
+            messageId: previous._id,
+            deliveredAt,
+            spokenAt: now
+        });
+
+    } catch (error) {
+        console.error('❌ Error marking message as spoken:', error);
+        res.status(500).json({
+            error: 'Failed to mark message as spoken',
+            message: error.message
+        });
+    }
+});
+
 // Get unannounced messages for mobile app
 app.get('/api/runner/:runnerId/activity/:activityId/messages/unannounced', async (req, res) => {
     try {
@@ -1017,14 +2760,24 @@ app.get('/api/runner/:runnerId/activity/:activityId/messages/unannounced', async
             return res.status(400).json({ error: 'Invalid ID format' });
         }
 
+        // Triggered cheers wait until the runner's progress reaches their distance, checkpoint or time
+        const activity = await Activity.findOne(
+            { _id: activityId, runnerId },
+            { 'stats.distanceMeters': 1, 'stats.courseDistanceMeters': 1, checkpoints: 1 }
+        );
+
         const messages = await Cheer.find(
-            { activityId, deliveredAt: { $exists: false } },
-            { from: 1, message: 1, createdAt: 1 }
+            { activityId, deliveredAt: { $exists: false }, ...VISIBLE_CHEERS, ...triggerReadyQuery(activity || {}) },
+            { from: 1, message: 1, createdAt: 1, 'audio.contentType': 1, 'audio.durationSec': 1 }
         )
         .sort({ createdAt: 1 })
         .limit(10);
 
-        res.json(messages);
+        // Voice cheers carry a URL the phone can stream them from
+        res.json(messages.map(msg => ({
+            ...msg.toObject(),
+            audioUrl: getCheerAudioUrl(runnerId, activityId, msg)
+        })));
 
     } catch (error) {
         console.error('❌ Error getting unannounced messages:', error);
@@ -1148,8 +2901,22 @@ app.get('*', (req, res) => {
             'GET /api/test',
             'GET /api/health',
             'POST /api/runners',
+            'POST /api/events/:id/course',
+            'PUT /api/events/:id/geofence',
             'POST /api/runner/:id/activity/:id/start',
+            'POST /api/runner/:id/activity/:id/finish',
+            'POST /api/runner/:id/activity/:id/pause',
+            'POST /api/runner/:id/activity/:id/resume',
+            'POST /api/runner/:id/activity/:id/cancel',
             'POST /api/runner/:id/activity/:id/location',
+            'POST /api/runner/:id/activity/:id/location/batch',
+            'GET /api/runner/:id/activity/:id/splits',
+            'GET /api/runner/:id/activity/:id/checkpoints',
+            'GET /api/runner/:id/activity/:id/analytics',
+            'GET /api/runner/:id/activity/:id/track',
+            'GET /api/runner/:id/activity/:id/rollups',
+            'GET /api/runner/:id/activity/:id/export/:format',
+            'GET /api/runner/:id/activity/:id/diagnostics/gps',
             'GET /runner/:id/:activity',
             'GET /:userId/:activityId',
             'GET /api/status/ip',
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+// test-course-matching.js - Test script for snapping GPS fixes onto a course that crosses itself
+const assert = require('assert');
+const { buildCourse, matchToCourse } = require('./db/course');
+
+// East along one street, round a block, then back south across the first street at lng 13.415
+const COURSE = [
+    [13.400, 52.500],
+    [13.430, 52.500],
+    [13.430, 52.520],
+    [13.415, 52.520],
+    [13.415, 52.490]
+];
+
+function testCourseMatching() {
+    console.log('🧪 Testing Course Matching\n');
+
+    try {
+        const course = buildCourse(COURSE, 0);
+
+        // Test 1: First fix matches anywhere on the course
+        console.log('1️⃣ Testing first match at the start...');
+        const first = matchToCourse(course, 52.5001, 13.4001);
+        assert.ok(first.matched, 'first fix should match');
+        assert.ok(first.distance < 50, `first fix should be near the start, got ${first.distance} m`);
+        console.log(`   ✅ Matched at ${first.distance} m`);
+
+        // Test 2: A fix on the first street stays on the first street at the crossing
+        console.log('\n2️⃣ Testing a clean fix at the crossing...');
+        const crossing = matchToCourse(course, 52.5001, 13.4150, 800, 100);
+        assert.ok(crossing.matched, 'fix on the first street should match');
+        assert.ok(crossing.distance < 1200, `fix should stay on the first leg, got ${crossing.distance} m`);
+        console.log(`   ✅ Matched at ${crossing.distance} m`);
+
+        // Test 3: A fix thrown 90 m off the first street lands on the later leg - it must not jump there
+        console.log('\n3️⃣ Testing a noisy fix near the crossing...');
+        let courseDistance = 800;
+        const noisy = matchToCourse(course, 52.5008, 13.4150, courseDistance, 100);
+        assert.strictEqual(noisy.matched, false, 'noisy fix should be left unmatched');
+        assert.ok(noisy.offsetM < 5, `offset should still measure the nearest course line, got ${noisy.offsetM} m`);
+        if (noisy.matched) courseDistance = Math.max(courseDistance, noisy.distance);
+        assert.strictEqual(courseDistance, 800, 'course distance should not advance');
+        console.log(`   ✅ Left unmatched, course distance still ${courseDistance} m`);
+
+        // Test 4: The runner really reaching the later leg is matched once they could have got there
+        console.log('\n4️⃣ Testing the later leg after enough time has passed...');
+        const later = matchToCourse(course, 52.5050, 13.4150, 5000, 200);
+        assert.ok(later.matched, 'fix on the later leg should match');
+        assert.ok(later.distance > 5000, `fix should be on the later leg, got ${later.distance} m`);
+        console.log(`   ✅ Matched at ${later.distance} m`);
+
+        console.log('\n🚀 Course matching tests passed!');
+
+    } catch (error) {
+        console.error('\n❌ Test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+    testCourseMatching();
+}
+
+module.exports = { testCourseMatching };